@@ -0,0 +1,118 @@
+import { WebClient } from "@slack/web-api";
+import { buildAutoCloseNotice } from "./lib/blocks.js";
+import {
+  listSurveys,
+  closeSurvey,
+  updateSurvey,
+  purgeStaleDrafts,
+  releasePendingResponses,
+} from "./lib/store.js";
+import { privacyMode, releaseDue } from "./lib/privacy.js";
+import { canRemind, reminderDueAt } from "./lib/reminders.js";
+import { getOwners } from "./lib/permissions.js";
+import { startJob, listStalledJobs, runJob } from "./lib/jobs.js";
+
+const DRAFT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Scheduled functions get 30 seconds; stalled jobs share what's left of that
+const JOB_BUDGET_MS = 20 * 1000;
+
+/**
+ * Scheduled sweep over surveys with a deadline.
+ *
+ * Netlify runs this on the cron schedule in `config` below. Each overdue
+ * survey is closed and each of its owners gets a DM with the final response
+ * count and buttons to view or export the results. Surveys with automatic
+ * reminders turned on get their one reminder round as the deadline nears.
+ * Privacy-mode surveys release responses that have waited long enough.
+ * Drafts left behind by abandoned multi-page responses and survey previews
+ * are cleared after a day, and background jobs that stalled are resumed.
+ */
+export default async function handler() {
+  const slack = new WebClient(process.env.SLACK_BOT_TOKEN);
+  const now = new Date();
+
+  const surveys = await listSurveys();
+  const due = surveys.filter(
+    (s) => s.status === "open" && s.closesAt && new Date(s.closesAt) <= now
+  );
+
+  const needReminder = surveys.filter(
+    (s) =>
+      s.status === "open" &&
+      s.closesAt &&
+      s.settings?.remindBeforeDeadline &&
+      !s.remindedAt &&
+      canRemind(s) &&
+      reminderDueAt(s) <= now &&
+      new Date(s.closesAt) > now
+  );
+
+  const needRelease = surveys.filter(
+    (s) =>
+      s.status === "open" &&
+      privacyMode(s) &&
+      releaseDue(s, s.pendingCount || 0, now)
+  );
+
+  for (const survey of needRelease) {
+    try {
+      await releasePendingResponses(survey.id, now);
+    } catch (err) {
+      console.error(`Releasing responses failed for survey ${survey.id}:`, err);
+    }
+  }
+
+  // A big channel takes longer to DM than this function gets, so reminders
+  // go out from a background job
+  for (const survey of needReminder) {
+    try {
+      // Mark first so a later sweep can't queue the same reminders twice
+      await updateSurvey(survey.id, { remindedAt: now.toISOString() });
+      await startJob({ type: "remind", surveyId: survey.id });
+    } catch (err) {
+      console.error(`Queueing reminders failed for survey ${survey.id}:`, err);
+    }
+  }
+
+  for (const survey of due) {
+    // One failing survey shouldn't stop the rest of the sweep
+    try {
+      const closed = await closeSurvey(survey.id);
+
+      for (const ownerId of getOwners(closed)) {
+        await slack.chat.postMessage({
+          channel: ownerId,
+          blocks: buildAutoCloseNotice(closed),
+          text: `${closed.title} is now closed.`,
+        });
+      }
+    } catch (err) {
+      console.error(`Auto-close failed for survey ${survey.id}:`, err);
+    }
+  }
+
+  // Abandoned multi-page responses and survey previews
+  try {
+    await purgeStaleDrafts(DRAFT_MAX_AGE_MS);
+  } catch (err) {
+    console.error("Draft cleanup failed:", err);
+  }
+
+  // Background jobs whose hand-off was lost or that stopped part-way
+  const deadline = new Date(now.getTime() + JOB_BUDGET_MS);
+  try {
+    for (const job of await listStalledJobs(now)) {
+      if (new Date() >= deadline) break;
+      await runJob(slack, job.id, { deadline });
+    }
+  } catch (err) {
+    console.error("Resuming background jobs failed:", err);
+  }
+
+  return new Response("", { status: 200 });
+}
+
+export const config = {
+  schedule: "*/15 * * * *",
+};
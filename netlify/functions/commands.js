@@ -2,12 +2,48 @@ import { WebClient } from "@slack/web-api";
 import { verifySlackRequest } from "./lib/verify.js";
 import {
   buildCreateSurveyModal,
+  buildEditSurveyModal,
+  buildDeleteConfirmModal,
   buildResultsBlocks,
   buildListBlocks,
   buildCsvExport,
+  buildTrendBlocks,
+  buildAdminListBlocks,
+  buildTemplateListBlocks,
   buildHelpBlocks,
 } from "./lib/blocks.js";
-import { getSurvey, getResponses, closeSurvey, getUserSurveys } from "./lib/store.js";
+import {
+  getSurvey,
+  getResponses,
+  closeSurvey,
+  getUserSurveys,
+  getSeriesSurveys,
+  stopSeries,
+  updateSurvey,
+  addSurveyToUserIndex,
+  removeSurveyFromUserIndex,
+  listSurveys,
+  getStoredAdmins,
+  setStoredAdmins,
+  isSurveyOpen,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+} from "./lib/store.js";
+import { resultsHidden, hiddenResultsText } from "./lib/privacy.js";
+import { purgedText } from "./lib/retention.js";
+import { canRemind, notifyOwnersOfAdminClose } from "./lib/reminders.js";
+import { startJob, queueResultCharts } from "./lib/jobs.js";
+import { getHashSecret } from "./lib/hashing.js";
+import { getAvailableTemplates, findTemplate } from "./lib/templates.js";
+import { newBuilderEntry } from "./lib/builder.js";
+import {
+  getOwners,
+  isOwner,
+  isWorkspaceAdmin,
+  getEnvAdmins,
+  adminCanReadFreeText,
+} from "./lib/permissions.js";
 
 /**
  * Handles all /pulse slash commands.
@@ -38,7 +74,7 @@ export default async function handler(req) {
   try {
     switch (subcommand?.toLowerCase()) {
       case "create":
-        return await handleCreate(slack, triggerId, channelId);
+        return await handleCreate(slack, triggerId, channelId, userId);
 
       case "list":
         return await handleList(slack, userId);
@@ -52,9 +88,37 @@ export default async function handler(req) {
       case "export":
         return await handleExport(slack, channelId, userId, surveyId);
 
+      case "edit":
+        return await handleEdit(slack, triggerId, userId, surveyId);
+
       case "close":
         return await handleClose(slack, channelId, userId, surveyId);
 
+      case "delete":
+        return await handleDelete(slack, triggerId, userId, surveyId);
+
+      case "compare":
+        return await handleCompare(slack, channelId, userId, args[0], args[1]);
+
+      case "trend":
+        return await handleTrend(slack, channelId, userId, surveyId);
+
+      case "remind":
+        return await handleRemind(userId, surveyId);
+
+      case "owners":
+        return await handleOwners(slack, userId, args);
+
+      case "stop":
+        return await handleStop(userId, surveyId);
+
+      case "template":
+      case "templates":
+        return await handleTemplate(userId, args);
+
+      case "admin":
+        return await handleAdmin(slack, channelId, userId, args);
+
       case "help":
       case "":
       case undefined:
@@ -89,10 +153,15 @@ async function handleList(slack, userId) {
   return slackResponse("Check your DMs - I sent you a list of your surveys.");
 }
 
-async function handleCreate(slack, triggerId, channelId) {
+async function handleCreate(slack, triggerId, channelId, userId) {
+  const templates = await getAvailableTemplates(userId);
+
   await slack.views.open({
     trigger_id: triggerId,
-    view: buildCreateSurveyModal(channelId),
+    view: buildCreateSurveyModal(channelId, {
+      templates,
+      builder: [newBuilderEntry()],
+    }),
   });
 
   // Return empty 200 - the modal takes over
@@ -109,9 +178,9 @@ async function handleResults(slack, channelId, userId, surveyId) {
   if (!survey)
     return slackResponse(`:x: Survey \`${surveyId}\` not found.`);
 
-  if (userId !== survey.createdBy)
+  if (!isOwner(survey, userId))
     return slackResponse(
-      `:lock: Only the survey creator can view results.`
+      `:lock: Only survey owners can view results.`
     );
 
   const responses = await getResponses(surveyId);
@@ -129,6 +198,9 @@ async function handleResults(slack, channelId, userId, surveyId) {
     text: `Results for ${survey.title}`,
   });
 
+  // Charts and the downloadable report go to the owner's DM, not the channel
+  await queueResultCharts(userId, survey, { report: true });
+
   return new Response("", { status: 200 });
 }
 
@@ -140,9 +212,9 @@ async function handleShare(slack, channelId, userId, surveyId) {
   if (!survey)
     return slackResponse(`:x: Survey \`${surveyId}\` not found.`);
 
-  if (userId !== survey.createdBy)
+  if (!isOwner(survey, userId))
     return slackResponse(
-      `:lock: Only the survey creator can share results.`
+      `:lock: Only survey owners can share results.`
     );
 
   const responses = await getResponses(surveyId);
@@ -158,6 +230,7 @@ async function handleShare(slack, channelId, userId, surveyId) {
     blocks,
     text: `Survey results: ${survey.title}`,
   });
+  await queueResultCharts(channelId, survey);
 
   return new Response("", { status: 200 });
 }
@@ -170,12 +243,20 @@ async function handleExport(slack, channelId, userId, surveyId) {
   if (!survey)
     return slackResponse(`:x: Survey \`${surveyId}\` not found.`);
 
-  if (userId !== survey.createdBy)
+  if (!isOwner(survey, userId))
     return slackResponse(
-      `:lock: Only the survey creator can export results.`
+      `:lock: Only survey owners can export results.`
     );
 
+  if (survey.purgedAt)
+    return slackResponse(`:wastebasket: ${purgedText(survey)}.`);
+
   const responses = await getResponses(surveyId);
+  if (resultsHidden(survey, responses.length))
+    return slackResponse(
+      `:lock: ${hiddenResultsText(survey, responses.length)}.`
+    );
+
   const csv = buildCsvExport(survey, responses);
 
   // Upload CSV as a file snippet to the user via DM
@@ -190,6 +271,30 @@ async function handleExport(slack, channelId, userId, surveyId) {
   return new Response("", { status: 200 });
 }
 
+async function handleEdit(slack, triggerId, userId, surveyId) {
+  if (!surveyId)
+    return slackResponse("Usage: `/pulse edit <survey-id>`");
+
+  const survey = await getSurvey(surveyId);
+  if (!survey)
+    return slackResponse(`:x: Survey \`${surveyId}\` not found.`);
+
+  if (!isOwner(survey, userId))
+    return slackResponse(`:lock: Only survey owners can edit a survey.`);
+
+  if (survey.status === "closed")
+    return slackResponse(
+      `:information_source: Survey \`${surveyId}\` is closed and can no longer be edited.`
+    );
+
+  await slack.views.open({
+    trigger_id: triggerId,
+    view: buildEditSurveyModal(survey),
+  });
+
+  return new Response("", { status: 200 });
+}
+
 async function handleClose(slack, channelId, userId, surveyId) {
   if (!surveyId)
     return slackResponse("Usage: `/pulse close <survey-id>`");
@@ -198,9 +303,9 @@ async function handleClose(slack, channelId, userId, surveyId) {
   if (!survey)
     return slackResponse(`:x: Survey \`${surveyId}\` not found.`);
 
-  if (userId !== survey.createdBy)
+  if (!isOwner(survey, userId))
     return slackResponse(
-      `:lock: Only the survey creator can close a survey.`
+      `:lock: Only survey owners can close a survey.`
     );
 
   if (survey.status === "closed")
@@ -208,19 +313,509 @@ async function handleClose(slack, channelId, userId, surveyId) {
       `:information_source: Survey \`${surveyId}\` is already closed.`
     );
 
-  await closeSurvey(surveyId);
+  // Privacy-mode surveys release their pending responses on close
+  const closed = await closeSurvey(surveyId);
 
   await slack.chat.postMessage({
     channel: channelId,
-    text: `:checkered_flag: *${survey.title}* is now closed. ${survey.responseCount} total responses. Use \`/pulse results ${surveyId}\` to view results.`,
+    text: `:checkered_flag: *${survey.title}* is now closed. ${closed.responseCount || 0} total responses. Use \`/pulse results ${surveyId}\` to view results.`,
+  });
+
+  return new Response("", { status: 200 });
+}
+
+async function handleDelete(slack, triggerId, userId, surveyId) {
+  if (!surveyId)
+    return slackResponse("Usage: `/pulse delete <survey-id>`");
+
+  const survey = await getSurvey(surveyId);
+  if (!survey)
+    return slackResponse(`:x: Survey \`${surveyId}\` not found.`);
+
+  if (!isOwner(survey, userId))
+    return slackResponse(`:lock: Only survey owners can delete a survey.`);
+
+  // Deleting happens when the confirmation modal is submitted
+  await slack.views.open({
+    trigger_id: triggerId,
+    view: buildDeleteConfirmModal(survey),
+  });
+
+  return new Response("", { status: 200 });
+}
+
+async function handleCompare(slack, channelId, userId, idA, idB) {
+  if (!idA || !idB)
+    return slackResponse("Usage: `/pulse compare <survey-id-a> <survey-id-b>`");
+
+  const [surveyA, surveyB] = await Promise.all([getSurvey(idA), getSurvey(idB)]);
+  if (!surveyA)
+    return slackResponse(`:x: Survey \`${idA}\` not found.`);
+  if (!surveyB)
+    return slackResponse(`:x: Survey \`${idB}\` not found.`);
+
+  if (!isOwner(surveyA, userId) || !isOwner(surveyB, userId))
+    return slackResponse(
+      `:lock: You can only compare surveys you own.`
+    );
+
+  // Always compare oldest → newest, whatever order the IDs were typed in
+  const surveys = [surveyA, surveyB].sort(
+    (a, b) => new Date(a.createdAt) - new Date(b.createdAt)
+  );
+  const rounds = await Promise.all(
+    surveys.map(async (survey) => ({
+      survey,
+      responses: await getResponses(survey.id),
+    }))
+  );
+
+  await slack.chat.postEphemeral({
+    channel: channelId,
+    user: userId,
+    blocks: buildTrendBlocks(rounds),
+    text: `Comparison: ${surveys[0].title} → ${surveys[1].title}`,
+  });
+
+  return new Response("", { status: 200 });
+}
+
+async function handleTrend(slack, channelId, userId, surveyId) {
+  if (!surveyId)
+    return slackResponse("Usage: `/pulse trend <survey-id>`");
+
+  const survey = await getSurvey(surveyId);
+  if (!survey)
+    return slackResponse(`:x: Survey \`${surveyId}\` not found.`);
+
+  if (!isOwner(survey, userId))
+    return slackResponse(
+      `:lock: Only survey owners can view trends.`
+    );
+
+  if (!survey.seriesId)
+    return slackResponse(
+      `:information_source: Survey \`${surveyId}\` isn't part of a recurring series. Use \`/pulse compare <id-a> <id-b>\` instead.`
+    );
+
+  const surveys = await getSeriesSurveys(survey.seriesId);
+  if (surveys.length < 2)
+    return slackResponse(
+      `:information_source: *${survey.title}* only has one round so far.`
+    );
+
+  const rounds = await Promise.all(
+    surveys.map(async (s) => ({ survey: s, responses: await getResponses(s.id) }))
+  );
+
+  await slack.chat.postEphemeral({
+    channel: channelId,
+    user: userId,
+    blocks: buildTrendBlocks(rounds, { title: survey.title }),
+    text: `Trend for ${survey.title}`,
   });
 
   return new Response("", { status: 200 });
 }
 
+async function handleStop(userId, surveyId) {
+  if (!surveyId)
+    return slackResponse("Usage: `/pulse stop <survey-id>`");
+
+  const survey = await getSurvey(surveyId);
+  if (!survey)
+    return slackResponse(`:x: Survey \`${surveyId}\` not found.`);
+
+  if (!isOwner(survey, userId))
+    return slackResponse(
+      `:lock: Only survey owners can stop a recurring survey.`
+    );
+
+  if (!survey.seriesId || !survey.recurrence)
+    return slackResponse(
+      `:information_source: Survey \`${surveyId}\` is not set to repeat.`
+    );
+
+  await stopSeries(survey.seriesId);
+
+  return slackResponse(
+    `:stop_button: *${survey.title}* will no longer repeat. The current round stays open until you close it.`
+  );
+}
+
+async function handleRemind(userId, surveyId) {
+  if (!surveyId)
+    return slackResponse("Usage: `/pulse remind <survey-id>`");
+
+  const survey = await getSurvey(surveyId);
+  if (!survey)
+    return slackResponse(`:x: Survey \`${surveyId}\` not found.`);
+
+  if (!isOwner(survey, userId))
+    return slackResponse(`:lock: Only survey owners can send reminders.`);
+
+  if (!isSurveyOpen(survey))
+    return slackResponse(
+      `:information_source: Survey \`${surveyId}\` is closed.`
+    );
+
+  if (!canRemind(survey))
+    return slackResponse(
+      `:information_source: *${survey.title}* wasn't posted in a channel, so there's nobody to remind.`
+    );
+
+  // Going through the channel's members can take longer than Slack waits
+  await startJob({ type: "remind", surveyId, requestedBy: userId });
+  return slackResponse(
+    `:wave: Sending an anonymous reminder to channel members who haven't responded yet - I'll DM you when it's done.`
+  );
+}
+
+async function handleOwners(slack, userId, args) {
+  const usage =
+    "Usage: `/pulse owners <survey-id>`, `/pulse owners add <survey-id> @user` or `/pulse owners remove <survey-id> @user`";
+  const action = args[0]?.toLowerCase();
+
+  // `/pulse owners <id>` just lists the current owners
+  if (action && action !== "add" && action !== "remove") {
+    const survey = await getSurvey(args[0]);
+    if (!survey)
+      return slackResponse(`:x: Survey \`${args[0]}\` not found.`);
+    if (!isOwner(survey, userId))
+      return slackResponse(`:lock: Only survey owners can see the owner list.`);
+
+    return slackResponse(
+      `:busts_in_silhouette: Owners of *${survey.title}*: ${getOwners(survey).map((id) => `<@${id}>`).join(", ")}`
+    );
+  }
+
+  const [, surveyId, mention] = args;
+  if (!surveyId || !mention) return slackResponse(usage);
+
+  const targetId = parseUserMention(mention);
+  if (!targetId)
+    return slackResponse(
+      `:x: Couldn't read \`${mention}\` as a user. Mention them with @ so Slack links their name.`
+    );
+
+  const survey = await getSurvey(surveyId);
+  if (!survey)
+    return slackResponse(`:x: Survey \`${surveyId}\` not found.`);
+
+  if (!isOwner(survey, userId))
+    return slackResponse(`:lock: Only survey owners can change owners.`);
+
+  const owners = getOwners(survey);
+
+  if (action === "add") {
+    if (owners.includes(targetId))
+      return slackResponse(
+        `:information_source: <@${targetId}> already owns *${survey.title}*.`
+      );
+
+    await updateSurvey(surveyId, { owners: [...owners, targetId] });
+    await addSurveyToUserIndex(targetId, surveyId);
+
+    await slack.chat.postMessage({
+      channel: targetId,
+      text: `:busts_in_silhouette: <@${userId}> added you as a co-owner of *${survey.title}*. Use \`/pulse list\` to view results and manage it.`,
+    });
+
+    return slackResponse(
+      `:white_check_mark: <@${targetId}> is now a co-owner of *${survey.title}*.`
+    );
+  }
+
+  if (!owners.includes(targetId))
+    return slackResponse(
+      `:information_source: <@${targetId}> isn't an owner of *${survey.title}*.`
+    );
+
+  if (owners.length === 1)
+    return slackResponse(
+      `:warning: <@${targetId}> is the only owner. Add another owner before removing them.`
+    );
+
+  await updateSurvey(surveyId, {
+    owners: owners.filter((id) => id !== targetId),
+  });
+  await removeSurveyFromUserIndex(targetId, surveyId);
+
+  return slackResponse(
+    `:white_check_mark: <@${targetId}> is no longer an owner of *${survey.title}*.`
+  );
+}
+
+// ─── Template Subcommands ─────────────────────────────────────────────────────
+
+async function handleTemplate(userId, args) {
+  const [action, ...rest] = args;
+
+  switch (action?.toLowerCase()) {
+    case "save":
+      return await handleTemplateSave(userId, rest[0], rest.slice(1).join(" "));
+
+    case "list":
+    case undefined:
+      return await handleTemplateList(userId);
+
+    case "share":
+    case "unshare":
+      return await handleTemplateShare(userId, action.toLowerCase(), rest.join(" "));
+
+    case "delete":
+      return await handleTemplateDelete(userId, rest.join(" "));
+
+    default:
+      return slackResponse(
+        "Usage: `/pulse template save <survey-id> <name>`, `/pulse template list`, `/pulse template share|unshare <name>`, `/pulse template delete <name>`"
+      );
+  }
+}
+
+async function handleTemplateSave(userId, surveyId, name) {
+  if (!surveyId || !name)
+    return slackResponse("Usage: `/pulse template save <survey-id> <name>`");
+
+  const survey = await getSurvey(surveyId);
+  if (!survey)
+    return slackResponse(`:x: Survey \`${surveyId}\` not found.`);
+
+  if (!isOwner(survey, userId))
+    return slackResponse(`:lock: Only survey owners can save it as a template.`);
+
+  const existing = await findTemplate(userId, name);
+  if (existing && (existing.builtin || existing.createdBy === userId))
+    return slackResponse(
+      `:warning: A template named *${existing.name}* already exists. Pick another name or delete it first.`
+    );
+
+  await createTemplate({
+    name,
+    title: survey.title,
+    questions: survey.questions,
+    createdBy: userId,
+    visibility: "private",
+  });
+
+  return slackResponse(
+    `:white_check_mark: Saved *${name}* as a private template. Use \`/pulse template share ${name}\` to make it available to the whole workspace.`
+  );
+}
+
+async function handleTemplateList(userId) {
+  const templates = await getAvailableTemplates(userId);
+
+  return new Response(
+    JSON.stringify({
+      response_type: "ephemeral",
+      blocks: buildTemplateListBlocks(templates, userId),
+      text: `Survey templates (${templates.length})`,
+    }),
+    { status: 200, headers: { "Content-Type": "application/json" } }
+  );
+}
+
+async function handleTemplateShare(userId, action, name) {
+  if (!name)
+    return slackResponse(`Usage: \`/pulse template ${action} <name>\``);
+
+  const template = await findTemplate(userId, name);
+  if (!template || template.builtin || template.createdBy !== userId)
+    return slackResponse(`:x: You don't have a template named *${name}*.`);
+
+  const visibility = action === "share" ? "workspace" : "private";
+  await updateTemplate(template.id, { visibility });
+
+  return slackResponse(
+    visibility === "workspace"
+      ? `:globe_with_meridians: *${template.name}* is now available to everyone in the workspace.`
+      : `:lock: *${template.name}* is now private to you.`
+  );
+}
+
+async function handleTemplateDelete(userId, name) {
+  if (!name)
+    return slackResponse("Usage: `/pulse template delete <name>`");
+
+  const template = await findTemplate(userId, name);
+  if (!template || template.builtin || template.createdBy !== userId)
+    return slackResponse(`:x: You don't have a template named *${name}*.`);
+
+  await deleteTemplate(template.id);
+
+  return slackResponse(`:wastebasket: Deleted the template *${template.name}*.`);
+}
+
+// ─── Admin Subcommands ────────────────────────────────────────────────────────
+
+async function handleAdmin(slack, channelId, userId, args) {
+  if (!(await isWorkspaceAdmin(userId)))
+    return slackResponse(`:lock: Only workspace admins can use \`/pulse admin\`.`);
+
+  const [action, ...rest] = args;
+
+  switch (action?.toLowerCase()) {
+    case "list":
+      return await handleAdminList(slack, userId);
+
+    case "results":
+      return await handleAdminResults(slack, channelId, userId, rest[0]);
+
+    case "close":
+      return await handleAdminClose(slack, userId, rest[0]);
+
+    case "transfer":
+      return await handleAdminTransfer(slack, userId, rest[0], rest[1]);
+
+    case "grant":
+    case "revoke":
+      return await handleAdminGrant(action.toLowerCase(), rest[0]);
+
+    case "rehash":
+      return await handleAdminRehash(userId);
+
+    default:
+      return slackResponse(
+        "Usage: `/pulse admin list`, `/pulse admin results <id>`, `/pulse admin close <id>`, `/pulse admin transfer <id> @user`, `/pulse admin grant|revoke @user`, `/pulse admin rehash`"
+      );
+  }
+}
+
+async function handleAdminList(slack, userId) {
+  const surveys = await listSurveys();
+
+  await slack.chat.postMessage({
+    channel: userId,
+    blocks: buildAdminListBlocks(surveys),
+    text: `All surveys (${surveys.length})`,
+  });
+
+  return slackResponse("Check your DMs - I sent you every survey in the workspace.");
+}
+
+async function handleAdminResults(slack, channelId, userId, surveyId) {
+  if (!surveyId)
+    return slackResponse("Usage: `/pulse admin results <survey-id>`");
+
+  const survey = await getSurvey(surveyId);
+  if (!survey)
+    return slackResponse(`:x: Survey \`${surveyId}\` not found.`);
+
+  const responses = await getResponses(surveyId);
+
+  // Aggregates only - free-text stays with owners unless they opted in
+  const blocks = buildResultsBlocks(survey, responses, {
+    isAdmin: adminCanReadFreeText(survey),
+    isShare: false,
+  });
+
+  await slack.chat.postEphemeral({
+    channel: channelId,
+    user: userId,
+    blocks,
+    text: `Results for ${survey.title}`,
+  });
+
+  return new Response("", { status: 200 });
+}
+
+async function handleAdminClose(slack, userId, surveyId) {
+  if (!surveyId)
+    return slackResponse("Usage: `/pulse admin close <survey-id>`");
+
+  const survey = await getSurvey(surveyId);
+  if (!survey)
+    return slackResponse(`:x: Survey \`${surveyId}\` not found.`);
+
+  if (survey.status === "closed")
+    return slackResponse(
+      `:information_source: Survey \`${surveyId}\` is already closed.`
+    );
+
+  await closeSurvey(surveyId);
+  await notifyOwnersOfAdminClose(slack, survey, userId);
+
+  return slackResponse(
+    `:checkered_flag: *${survey.title}* has been closed. Its owners have been notified.`
+  );
+}
+
+async function handleAdminTransfer(slack, userId, surveyId, mention) {
+  if (!surveyId || !mention)
+    return slackResponse("Usage: `/pulse admin transfer <survey-id> @user`");
+
+  const targetId = parseUserMention(mention);
+  if (!targetId)
+    return slackResponse(
+      `:x: Couldn't read \`${mention}\` as a user. Mention them with @ so Slack links their name.`
+    );
+
+  const survey = await getSurvey(surveyId);
+  if (!survey)
+    return slackResponse(`:x: Survey \`${surveyId}\` not found.`);
+
+  // The new owner takes the creator's place; other co-owners keep access
+  const previousCreator = survey.createdBy;
+  const owners = [
+    targetId,
+    ...getOwners(survey).filter(
+      (id) => id !== previousCreator && id !== targetId
+    ),
+  ];
+
+  await updateSurvey(surveyId, { createdBy: targetId, owners });
+  await removeSurveyFromUserIndex(previousCreator, surveyId);
+  await addSurveyToUserIndex(targetId, surveyId);
+
+  await slack.chat.postMessage({
+    channel: targetId,
+    text: `:shield: <@${userId}> (workspace admin) transferred the survey *${survey.title}* to you. Use \`/pulse list\` to manage it.`,
+  });
+
+  return slackResponse(
+    `:white_check_mark: *${survey.title}* now belongs to <@${targetId}> (previously <@${previousCreator}>).`
+  );
+}
+
+async function handleAdminGrant(action, mention) {
+  const targetId = mention && parseUserMention(mention);
+  if (!targetId)
+    return slackResponse(`Usage: \`/pulse admin ${action} @user\``);
+
+  const stored = await getStoredAdmins();
+
+  if (action === "grant") {
+    await setStoredAdmins([...stored, targetId]);
+    return slackResponse(`:shield: <@${targetId}> is now a workspace admin.`);
+  }
+
+  if (getEnvAdmins().includes(targetId))
+    return slackResponse(
+      `:warning: <@${targetId}> is an admin through the PULSE_ADMINS setting and can't be revoked from Slack.`
+    );
+
+  await setStoredAdmins(stored.filter((id) => id !== targetId));
+  return slackResponse(`:white_check_mark: <@${targetId}> is no longer a workspace admin.`);
+}
+
+// Re-keying goes through every survey and the whole member list, so it runs
+// as a background job (lib/jobs.js) and DMs the result
+async function handleAdminRehash(userId) {
+  if (!getHashSecret())
+    return slackResponse(
+      ":warning: PULSE_HASH_SECRET isn't set, so there's no secret to re-key respondent hashes with. Set it and redeploy first."
+    );
+
+  await startJob({ type: "rehash", requestedBy: userId });
+  return slackResponse(
+    ":key: Re-keying respondent hashes in the background - I'll DM you when it's done."
+  );
+}
+
 async function handleHelp() {
   const docsUrl = process.env.DOCS_URL || null;
-  const blocks = buildHelpBlocks(docsUrl);
+  const blocks = buildHelpBlocks(docsUrl, { keyedHashes: Boolean(getHashSecret()) });
 
   // Return help directly as the slash command response - faster and no API call needed
   return new Response(
@@ -231,6 +826,14 @@ async function handleHelp() {
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
+// Slack escapes mentions in slash command text as <@U123|name>. A bare user
+// ID is accepted too, for workspaces without mention escaping enabled.
+function parseUserMention(text) {
+  const match = text.match(/^<@([UW][A-Z0-9]+)(\|[^>]*)?>$/) ||
+    text.match(/^([UW][A-Z0-9]+)$/);
+  return match ? match[1] : null;
+}
+
 function slackResponse(text) {
   return new Response(JSON.stringify({ response_type: "ephemeral", text }), {
     status: 200,
@@ -1,27 +1,82 @@
 import { WebClient } from "@slack/web-api";
 import { verifySlackRequest } from "./lib/verify.js";
 import {
+  buildCreateSurveyModal,
   buildResponseModal,
   buildSurveyMessage,
   buildResultsBlocks,
   buildCsvExport,
+  buildTrendBlocks,
+  buildTrendCsvExport,
+  buildPreviewModal,
+  buildEditSurveyModal,
+  buildSurveyRemovedMessage,
+  buildFreeTextModal,
 } from "./lib/blocks.js";
-import { parseQuestions } from "./lib/parse-questions.js";
+import { summarizeQuestion } from "./lib/stats.js";
+import { queueResultCharts } from "./lib/jobs.js";
+import {
+  parseQuestions,
+  formatQuestions,
+  validateQuestionText,
+} from "./lib/parse-questions.js";
+import { getAvailableTemplates, findTemplate } from "./lib/templates.js";
+import { lockedQuestionProblems } from "./lib/edits.js";
+import {
+  MAX_BUILDER_QUESTIONS,
+  newBuilderEntry,
+  builderEntriesFromQuestions,
+  readBuilderEntries,
+  builderErrors,
+  questionsFromBuilder,
+} from "./lib/builder.js";
+import {
+  buildPages,
+  askedOnPage,
+  nextPageIndex,
+  markNotAsked,
+} from "./lib/pages.js";
+import { isValidRecurrence, nextOccurrence } from "./lib/recurrence.js";
+import {
+  isOwner,
+  isWorkspaceAdmin,
+  canReadFreeText,
+} from "./lib/permissions.js";
+import { notifyOwnersOfAdminClose } from "./lib/reminders.js";
+import { purgedText } from "./lib/retention.js";
+import {
+  DEFAULT_MIN_RESPONSES,
+  resultsHidden,
+  hiddenResultsText,
+  privacyMode,
+} from "./lib/privacy.js";
+import { redactionEnabled, redactAnswers, parseNames } from "./lib/redact.js";
 import {
   createSurvey,
   getSurvey,
+  updateSurvey,
   addResponse,
   getResponses,
   hasUserResponded,
   markUserResponded,
   addSurveyToUserIndex,
   closeSurvey,
+  isSurveyOpen,
+  createSeries,
+  addSurveyToSeries,
+  getSeriesSurveys,
+  stopSeries,
+  saveDraft,
+  getDraft,
+  deleteDraft,
+  deleteSurvey,
 } from "./lib/store.js";
 
 /**
  * Handles all Slack interactive payloads:
  *  - Button clicks (e.g. "Take Survey")
- *  - Modal submissions (create survey, submit response)
+ *  - Modal submissions (create survey, publish preview, submit response)
+ *  - Closed modals (going back from a survey preview)
  *
  * Slack sends these as URL-encoded bodies with a `payload` JSON field.
  */
@@ -46,6 +101,9 @@ export default async function handler(req) {
       case "view_submission":
         return await handleViewSubmission(slack, payload);
 
+      case "view_closed":
+        return await handleViewClosed(slack, payload);
+
       default:
         return new Response("", { status: 200 });
     }
@@ -80,7 +138,7 @@ async function handleBlockActions(slack, payload) {
         return new Response("", { status: 200 });
       }
 
-      if (survey.status === "closed") {
+      if (!isSurveyOpen(survey)) {
         await slack.chat.postEphemeral({
           channel: payload.channel.id,
           user: userId,
@@ -90,7 +148,7 @@ async function handleBlockActions(slack, payload) {
       }
 
       // Check if already responded
-      const alreadyResponded = await hasUserResponded(surveyId, userId);
+      const alreadyResponded = await hasUserResponded(survey, userId);
       if (alreadyResponded) {
         await slack.chat.postEphemeral({
           channel: payload.channel.id,
@@ -100,18 +158,149 @@ async function handleBlockActions(slack, payload) {
         return new Response("", { status: 200 });
       }
 
-      // Open the response modal
+      // Open the response modal on the first page with something to ask
+      const pages = buildPages(survey.questions);
       await slack.views.open({
         trigger_id: payload.trigger_id,
-        view: buildResponseModal(survey),
+        view: buildResponseModal(survey, {
+          page: nextPageIndex(survey.questions, pages, -1, {}),
+        }),
+      });
+    }
+
+    // ─── Create modal: start from template ────────────────────────────────
+    if (action.action_id === "template_select") {
+      const template = await findTemplate(userId, action.selected_option.value);
+      if (!template) continue;
+
+      // Long templates don't fit in the builder and open as text instead
+      const { builder } = parseCreateMetadata(payload.view.private_metadata);
+      const useBuilder =
+        builder && template.questions.length <= MAX_BUILDER_QUESTIONS;
+      await updateCreateModal(slack, payload, {
+        prefill: {
+          templateId: template.id,
+          title: template.title,
+          ...(!useBuilder && formatQuestions(template.questions)),
+        },
+        builder: useBuilder
+          ? builderEntriesFromQuestions(template.questions)
+          : null,
       });
     }
 
+    // ─── Create modal: question builder ───────────────────────────────────
+    if (
+      action.action_id === "builder_add" ||
+      action.action_id === "builder_remove"
+    ) {
+      const { builder } = parseCreateMetadata(payload.view.private_metadata);
+      const entries = readBuilderEntries(payload.view.state.values, builder || []);
+      await updateCreateModal(slack, payload, {
+        prefill: currentCreatePrefill(payload.view.state.values),
+        builder:
+          action.action_id === "builder_add"
+            ? [...entries, newBuilderEntry()]
+            : entries.filter((e) => e.key !== action.value),
+      });
+    }
+
+    if (action.action_id === "builder_toggle") {
+      const values = payload.view.state.values;
+      const prefill = currentCreatePrefill(values);
+
+      if (action.value === "builder") {
+        const rawQuestions = values.survey_questions?.questions_input?.value || "";
+        const rawOptions = values.multiselect_options?.options_input?.value || "";
+        const questions = parseQuestions(rawQuestions, rawOptions);
+
+        // Leave surveys too long for the builder in text mode, and say why
+        if (questions.length > MAX_BUILDER_QUESTIONS) {
+          await updateCreateModal(slack, payload, {
+            prefill: { ...prefill, rawQuestions, rawOptions },
+            notice: `:warning: This survey has ${questions.length} questions and the builder holds up to ${MAX_BUILDER_QUESTIONS}, so it stays in text mode.`,
+          });
+          continue;
+        }
+        await updateCreateModal(slack, payload, {
+          prefill,
+          builder:
+            questions.length > 0
+              ? builderEntriesFromQuestions(questions)
+              : [newBuilderEntry()],
+        });
+      } else {
+        const { builder } = parseCreateMetadata(payload.view.private_metadata);
+        const entries = readBuilderEntries(values, builder || []);
+        await updateCreateModal(slack, payload, {
+          prefill: {
+            ...prefill,
+            ...formatQuestions(questionsFromBuilder(entries)),
+          },
+        });
+      }
+    }
+
     // ─── List action buttons ──────────────────────────────────────────────
+    if (action.action_id === "list_edit") {
+      const survey = await getSurvey(action.value);
+      if (!survey || !isOwner(survey, userId)) {
+        await slack.chat.postMessage({
+          channel: userId,
+          text: ":x: Survey not found.",
+        });
+        continue;
+      }
+
+      if (survey.status === "closed") {
+        await slack.chat.postMessage({
+          channel: userId,
+          text: `:information_source: *${survey.title}* is closed and can no longer be edited.`,
+        });
+        continue;
+      }
+
+      await slack.views.open({
+        trigger_id: payload.trigger_id,
+        view: buildEditSurveyModal(survey),
+      });
+    }
+
+    // "Read all answers" on a free-text summary, and paging inside it
+    if (
+      action.action_id === "free_text_read" ||
+      action.action_id === "free_text_page"
+    ) {
+      const { surveyId, question, page } = JSON.parse(action.value);
+      const survey = await getSurvey(surveyId);
+      const responses =
+        survey && !survey.purgedAt ? await getResponses(surveyId) : [];
+      if (
+        !survey ||
+        survey.questions[question]?.type !== "free-text" ||
+        resultsHidden(survey, responses.length) ||
+        !(await canReadFreeText(survey, userId))
+      ) {
+        await slack.chat.postMessage({
+          channel: userId,
+          text: ":x: Those answers aren't available.",
+        });
+        continue;
+      }
+
+      const { texts } = summarizeQuestion(survey.questions[question], question, responses);
+      const view = buildFreeTextModal(survey, question, texts, page);
+      if (action.action_id === "free_text_read") {
+        await slack.views.open({ trigger_id: payload.trigger_id, view });
+      } else {
+        await slack.views.update({ view_id: payload.view.id, view });
+      }
+    }
+
     if (action.action_id === "list_results") {
       const surveyId = action.value;
       const survey = await getSurvey(surveyId);
-      if (!survey) {
+      if (!survey || !isOwner(survey, userId)) {
         await slack.chat.postMessage({
           channel: userId,
           text: ":x: Survey not found.",
@@ -130,12 +319,14 @@ async function handleBlockActions(slack, payload) {
         blocks,
         text: `Results for ${survey.title}`,
       });
+
+      await queueResultCharts(userId, survey, { report: true });
     }
 
     if (action.action_id === "list_close") {
       const surveyId = action.value;
       const survey = await getSurvey(surveyId);
-      if (!survey) {
+      if (!survey || !isOwner(survey, userId)) {
         await slack.chat.postMessage({
           channel: userId,
           text: ":x: Survey not found.",
@@ -151,17 +342,18 @@ async function handleBlockActions(slack, payload) {
         continue;
       }
 
-      await closeSurvey(surveyId);
+      // Privacy-mode surveys release their pending responses on close
+      const closed = await closeSurvey(surveyId);
       await slack.chat.postMessage({
         channel: userId,
-        text: `:checkered_flag: *${survey.title}* is now closed. ${survey.responseCount || 0} total responses.`,
+        text: `:checkered_flag: *${survey.title}* is now closed. ${closed.responseCount || 0} total responses.`,
       });
     }
 
     if (action.action_id === "list_export") {
       const surveyId = action.value;
       const survey = await getSurvey(surveyId);
-      if (!survey) {
+      if (!survey || !isOwner(survey, userId)) {
         await slack.chat.postMessage({
           channel: userId,
           text: ":x: Survey not found.",
@@ -169,7 +361,23 @@ async function handleBlockActions(slack, payload) {
         continue;
       }
 
+      if (survey.purgedAt) {
+        await slack.chat.postMessage({
+          channel: userId,
+          text: `:wastebasket: *${survey.title}*: ${purgedText(survey)}.`,
+        });
+        continue;
+      }
+
       const responses = await getResponses(surveyId);
+      if (resultsHidden(survey, responses.length)) {
+        await slack.chat.postMessage({
+          channel: userId,
+          text: `:lock: *${survey.title}*: ${hiddenResultsText(survey, responses.length)}.`,
+        });
+        continue;
+      }
+
       const csv = buildCsvExport(survey, responses);
 
       await slack.filesUploadV2({
@@ -181,6 +389,116 @@ async function handleBlockActions(slack, payload) {
       });
     }
 
+    if (action.action_id === "list_trend") {
+      const surveyId = action.value;
+      const survey = await getSurvey(surveyId);
+      if (!survey?.seriesId || !isOwner(survey, userId)) {
+        await slack.chat.postMessage({
+          channel: userId,
+          text: ":x: Survey not found.",
+        });
+        continue;
+      }
+
+      const surveys = await getSeriesSurveys(survey.seriesId);
+      const rounds = await Promise.all(
+        surveys.map(async (s) => ({ survey: s, responses: await getResponses(s.id) }))
+      );
+
+      await slack.chat.postMessage({
+        channel: userId,
+        blocks: buildTrendBlocks(rounds, { title: survey.title }),
+        text: `Trend for ${survey.title}`,
+      });
+    }
+
+    if (action.action_id === "trend_export") {
+      const surveys = await Promise.all(
+        action.value.split(",").map((id) => getSurvey(id))
+      );
+      if (surveys.some((s) => !s || !isOwner(s, userId))) {
+        await slack.chat.postMessage({
+          channel: userId,
+          text: ":x: One of these surveys could not be found.",
+        });
+        continue;
+      }
+
+      const rounds = await Promise.all(
+        surveys.map(async (s) => ({ survey: s, responses: await getResponses(s.id) }))
+      );
+      const csv = buildTrendCsvExport(rounds);
+      const last = surveys[surveys.length - 1];
+
+      await slack.filesUploadV2({
+        channel_id: userId,
+        content: csv,
+        filename: `pulse-trend-${surveys.map((s) => s.id).join("-")}.csv`,
+        title: `${last.title} - Trend Export`,
+        initial_comment: `:chart_with_upwards_trend: Trend CSV for *${last.title}* (${surveys.length} rounds)`,
+      });
+    }
+
+    // ─── Admin buttons ────────────────────────────────────────────────────
+    if (action.action_id === "admin_close") {
+      const surveyId = action.value;
+      if (!(await isWorkspaceAdmin(userId))) {
+        await slack.chat.postMessage({
+          channel: userId,
+          text: ":lock: Only workspace admins can do that.",
+        });
+        continue;
+      }
+
+      const survey = await getSurvey(surveyId);
+      if (!survey || survey.status === "closed") {
+        await slack.chat.postMessage({
+          channel: userId,
+          text: `:information_source: Survey \`${surveyId}\` is already closed or no longer exists.`,
+        });
+        continue;
+      }
+
+      await closeSurvey(surveyId);
+      await notifyOwnersOfAdminClose(slack, survey, userId);
+      await slack.chat.postMessage({
+        channel: userId,
+        text: `:checkered_flag: *${survey.title}* has been closed. Its owners have been notified.`,
+      });
+    }
+
+    if (action.action_id === "list_delete") {
+      const survey = await getSurvey(action.value);
+      if (!survey || !isOwner(survey, userId)) {
+        await slack.chat.postMessage({
+          channel: userId,
+          text: ":x: Survey not found.",
+        });
+        continue;
+      }
+
+      // Slack already asked for confirmation on the button
+      await removeSurvey(slack, survey, userId);
+    }
+
+    if (action.action_id === "list_stop_series") {
+      const surveyId = action.value;
+      const survey = await getSurvey(surveyId);
+      if (!survey?.seriesId || !isOwner(survey, userId)) {
+        await slack.chat.postMessage({
+          channel: userId,
+          text: ":x: Survey not found.",
+        });
+        continue;
+      }
+
+      await stopSeries(survey.seriesId);
+      await slack.chat.postMessage({
+        channel: userId,
+        text: `:stop_button: *${survey.title}* will no longer repeat. The current round stays open until you close it.`,
+      });
+    }
+
     // Ignore settings_checkboxes actions (they fire on toggle but we read
     // their values on submit)
   }
@@ -188,6 +506,32 @@ async function handleBlockActions(slack, payload) {
   return new Response("", { status: 200 });
 }
 
+/**
+ * Deletes a survey and all of its data, then replaces its channel card with a
+ * "survey removed" notice and confirms to the owner who deleted it.
+ */
+async function removeSurvey(slack, survey, userId) {
+  await deleteSurvey(survey.id);
+
+  if (survey.messageTs) {
+    try {
+      await slack.chat.update({
+        channel: survey.channelId,
+        ts: survey.messageTs,
+        blocks: buildSurveyRemovedMessage(survey),
+        text: `${survey.title} has been removed.`,
+      });
+    } catch (err) {
+      console.error(`Could not update the card for survey ${survey.id}:`, err);
+    }
+  }
+
+  await slack.chat.postMessage({
+    channel: userId,
+    text: `:wastebasket: *${survey.title}* and all of its responses have been deleted.`,
+  });
+}
+
 // ─── View Submissions (modal submits) ─────────────────────────────────────────
 
 async function handleViewSubmission(slack, payload) {
@@ -197,6 +541,18 @@ async function handleViewSubmission(slack, payload) {
     return await handleCreateSurveySubmit(slack, payload);
   }
 
+  if (callbackId === "edit_survey_submit") {
+    return await handleEditSurveySubmit(slack, payload);
+  }
+
+  if (callbackId === "delete_survey_confirm") {
+    return await handleDeleteSurveyConfirm(slack, payload);
+  }
+
+  if (callbackId === "create_survey_preview") {
+    return await handlePreviewPublish(slack, payload);
+  }
+
   if (callbackId === "survey_response_submit") {
     return await handleSurveyResponseSubmit(slack, payload);
   }
@@ -204,37 +560,275 @@ async function handleViewSubmission(slack, payload) {
   return new Response("", { status: 200 });
 }
 
+// ─── Delete Survey Confirm ────────────────────────────────────────────────────
+
+async function handleDeleteSurveyConfirm(slack, payload) {
+  const userId = payload.user.id;
+  const survey = await getSurvey(payload.view.private_metadata);
+  if (survey && isOwner(survey, userId)) {
+    await removeSurvey(slack, survey, userId);
+  }
+
+  return new Response(
+    JSON.stringify({ response_action: "clear" }),
+    { status: 200, headers: { "Content-Type": "application/json" } }
+  );
+}
+
+// ─── Modal Closed ─────────────────────────────────────────────────────────────
+
+async function handleViewClosed(slack, payload) {
+  // "Back to edit" on the preview - the draft is rebuilt on the next submit
+  if (payload.view.callback_id === "create_survey_preview") {
+    const { draftId } = JSON.parse(payload.view.private_metadata);
+    if (draftId) await deleteDraft(draftId);
+  }
+
+  return new Response("", { status: 200 });
+}
+
 // ─── Create Survey Submit ─────────────────────────────────────────────────────
+// Submitting the creation modal validates it and pushes a preview. Nothing is
+// posted until the preview's "Publish" button is pressed; the survey waits in
+// the drafts store until then.
 
 async function handleCreateSurveySubmit(slack, payload) {
   const values = payload.view.state.values;
-  const channelId = payload.view.private_metadata;
+  const { channelId, builder } = parseCreateMetadata(
+    payload.view.private_metadata
+  );
 
   const title = values.survey_title.title_input.value;
-  const rawQuestions = values.survey_questions.questions_input.value;
-  const rawOptions =
-    values.multiselect_options?.options_input?.value || "";
 
   // Parse settings checkboxes
   const settingsActions = values.survey_settings?.settings_checkboxes;
   const selectedSettings =
     settingsActions?.selected_options?.map((o) => o.value) || [];
 
-  const questions = parseQuestions(rawQuestions, rawOptions);
+  // Optional deadline - Slack gives us a unix timestamp in seconds
+  const deadline = values.survey_deadline?.deadline_input?.selected_date_time;
+  if (deadline && deadline * 1000 <= Date.now()) {
+    return new Response(
+      JSON.stringify({
+        response_action: "errors",
+        errors: { survey_deadline: "Pick a close time in the future." },
+      }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  }
+
+  // The settings checkboxes can't show an error, so it goes on the deadline
+  if (!deadline && selectedSettings.includes("remind_before_deadline")) {
+    return new Response(
+      JSON.stringify({
+        response_action: "errors",
+        errors: {
+          survey_deadline: "Set a close time to remind people before it, or untick the reminder setting.",
+        },
+      }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  }
+
+  const recurrenceValue =
+    values.survey_recurrence?.recurrence_input?.selected_option?.value;
+  const recurrence = isValidRecurrence(recurrenceValue) ? recurrenceValue : null;
+
+  const minResponsesValue =
+    values.survey_min_responses?.min_responses_input?.value;
+  const minResponses = minResponsesValue
+    ? parseInt(minResponsesValue, 10)
+    : DEFAULT_MIN_RESPONSES;
+
+  // Empty falls back to the workspace retention default
+  const retentionValue = values.survey_retention?.retention_input?.value;
+  const retentionDays = retentionValue ? parseInt(retentionValue, 10) : null;
+
+  const { questions, errors } = readModalQuestions(values, builder);
+  if (errors) {
+    return new Response(
+      JSON.stringify({ response_action: "errors", errors }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  }
+
   const userId = payload.user.id;
 
-  const survey = await createSurvey({
+  // The creator is always an owner; co-owners come from the user picker
+  const coOwners = values.survey_owners?.owners_input?.selected_users || [];
+  const owners = [userId, ...coOwners.filter((id) => id !== userId)];
+
+  const draft = {
     title,
     questions,
     createdBy: userId,
+    owners,
+    channelId: channelId || userId,
+    closesAt: deadline ? new Date(deadline * 1000).toISOString() : null,
+    recurrence,
     settings: {
       showResults: selectedSettings.includes("show_results"),
       shareFreetext: selectedSettings.includes("share_freetext"),
+      adminFreetext: selectedSettings.includes("admin_freetext"),
+      remindBeforeDeadline: selectedSettings.includes("remind_before_deadline"),
+      privacyMode: selectedSettings.includes("privacy_mode"),
+      redactPii: selectedSettings.includes("redact_pii"),
+      redactNames: parseNames(values.survey_redact_names?.redact_names_input?.value),
+      minResponses,
+      retentionDays,
     },
+  };
+  const draftId = await saveDraft({ survey: draft });
+
+  return new Response(
+    JSON.stringify({
+      response_action: "push",
+      view: buildPreviewModal(draft, { draftId }),
+    }),
+    { status: 200, headers: { "Content-Type": "application/json" } }
+  );
+}
+
+// ─── Edit Survey Submit ───────────────────────────────────────────────────────
+
+async function handleEditSurveySubmit(slack, payload) {
+  const values = payload.view.state.values;
+  const userId = payload.user.id;
+  const { builder, surveyId } = parseCreateMetadata(
+    payload.view.private_metadata
+  );
+
+  const survey = await getSurvey(surveyId);
+  const blocked =
+    !survey || !isOwner(survey, userId)
+      ? "Survey not found."
+      : survey.status === "closed"
+        ? "This survey has closed and can no longer be edited."
+        : null;
+  if (blocked) {
+    return new Response(
+      JSON.stringify({
+        response_action: "errors",
+        errors: { survey_title: blocked },
+      }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  }
+
+  const { questions, errors } = readModalQuestions(values, builder);
+  if (errors) {
+    return new Response(
+      JSON.stringify({ response_action: "errors", errors }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  }
+
+  // Stored answers are keyed by position, so once anyone has responded only
+  // edits that keep those keys meaning the same thing are allowed
+  if (survey.responseCount > 0 || survey.pendingCount > 0) {
+    const problems = lockedQuestionProblems(survey.questions, questions);
+    if (problems.length > 0) {
+      return new Response(
+        JSON.stringify({
+          response_action: "errors",
+          errors: builder
+            ? builderProblemErrors(builder, problems)
+            : questionTextErrors(
+                problems.map((p) => ({ field: "questions", message: p.message }))
+              ),
+        }),
+        { status: 200, headers: { "Content-Type": "application/json" } }
+      );
+    }
+  }
+
+  const updated = await updateSurvey(surveyId, {
+    title: values.survey_title.title_input.value,
+    questions,
+    editedAt: new Date().toISOString(),
   });
 
-  // Add to the creator's survey index for /pulse list
-  await addSurveyToUserIndex(userId, survey.id);
+  // Refresh the card in the channel so it shows the new title
+  if (updated.messageTs) {
+    try {
+      await slack.chat.update({
+        channel: updated.channelId,
+        ts: updated.messageTs,
+        blocks: buildSurveyMessage(updated),
+        text: `${updated.title} - Take the survey!`,
+      });
+    } catch (err) {
+      console.error(`Could not update the card for survey ${surveyId}:`, err);
+    }
+  }
+
+  await slack.chat.postMessage({
+    channel: userId,
+    text: `:pencil2: *${updated.title}* has been updated.`,
+  });
+
+  return new Response(
+    JSON.stringify({ response_action: "clear" }),
+    { status: 200, headers: { "Content-Type": "application/json" } }
+  );
+}
+
+// ─── Publish from Preview ─────────────────────────────────────────────────────
+
+async function handlePreviewPublish(slack, payload) {
+  const { draftId } = JSON.parse(payload.view.private_metadata);
+  const draft = (await getDraft(draftId))?.survey;
+  if (!draft) {
+    return new Response(
+      JSON.stringify({
+        response_action: "update",
+        view: buildPreviewModal({ title: "Survey", questions: [] }, {
+          draftId,
+          notice: "This preview has expired. Go back to edit and submit again.",
+        }),
+      }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  }
+
+  // The deadline may have passed while the preview was open
+  if (draft.closesAt && new Date(draft.closesAt) <= new Date()) {
+    return new Response(
+      JSON.stringify({
+        response_action: "update",
+        view: buildPreviewModal(draft, {
+          draftId,
+          notice: "The close time has passed. Go back to edit and pick a new one.",
+        }),
+      }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  }
+
+  await deleteDraft(draftId);
+  const { title, recurrence, owners, channelId: targetChannel } = draft;
+  const userId = payload.user.id;
+
+  // Recurring surveys get a parent series that links every round together
+  const series = recurrence
+    ? await createSeries({
+        title,
+        recurrence,
+        channelId: targetChannel,
+        createdBy: userId,
+        nextRunAt: nextOccurrence(new Date(), recurrence).toISOString(),
+      })
+    : null;
+
+  const survey = await createSurvey({
+    ...draft,
+    seriesId: series?.id || null,
+    round: series ? 1 : null,
+  });
+
+  // Add to every owner's survey index for /pulse list
+  await Promise.all(owners.map((id) => addSurveyToUserIndex(id, survey.id)));
+  if (series) await addSurveyToSeries(series.id, survey.id);
 
   // DM the creator with confirmation
   await slack.chat.postMessage({
@@ -243,13 +837,16 @@ async function handleCreateSurveySubmit(slack, payload) {
   });
 
   // Post the interactive survey card to the channel where /pulse create was run
-  const targetChannel = channelId || userId;
-  await slack.chat.postMessage({
+  const posted = await slack.chat.postMessage({
     channel: targetChannel,
     blocks: buildSurveyMessage(survey),
     text: `${survey.title} - Take the survey!`,
   });
 
+  // Remember where the card lives so later updates can find it
+  await updateSurvey(survey.id, { messageTs: posted.ts });
+
+  // Close the preview and the creation modal underneath it
   return new Response(
     JSON.stringify({ response_action: "clear" }),
     { status: 200, headers: { "Content-Type": "application/json" } }
@@ -259,54 +856,79 @@ async function handleCreateSurveySubmit(slack, payload) {
 // ─── Survey Response Submit ───────────────────────────────────────────────────
 
 async function handleSurveyResponseSubmit(slack, payload) {
-  const surveyId = payload.view.private_metadata;
+  const { surveyId, page, answers, draftId } = parseResponseMetadata(
+    payload.view.private_metadata
+  );
+  const earlierAnswers = draftId
+    ? (await getDraft(draftId))?.answers || {}
+    : answers;
   const userId = payload.user.id;
   const values = payload.view.state.values;
 
   const survey = await getSurvey(surveyId);
   if (!survey) {
+    return await responseError(slack, payload, "Survey not found.");
+  }
+
+  // The deadline may have passed while the modal was open
+  if (!isSurveyOpen(survey)) {
+    return await responseError(slack, payload, "This survey has closed.");
+  }
+
+  // Double-check hasn't already responded
+  if (await hasUserResponded(survey, userId)) {
+    return await responseError(slack, payload, "You've already submitted a response.");
+  }
+
+  // Extract answers - completely anonymous, no user info stored
+  const pages = buildPages(survey.questions);
+  const asked = askedOnPage(survey.questions, pages[page] || [], earlierAnswers);
+  const { answers: pageAnswers, errors } = extractAnswers(
+    survey.questions,
+    asked,
+    values
+  );
+  if (Object.keys(errors).length > 0) {
     return new Response(
-      JSON.stringify({
-        response_action: "errors",
-        errors: { q_0: "Survey not found." },
-      }),
+      JSON.stringify({ response_action: "errors", errors }),
       { status: 200, headers: { "Content-Type": "application/json" } }
     );
   }
 
-  // Double-check hasn't already responded
-  if (await hasUserResponded(surveyId, userId)) {
+  // Move on to the next page that still has questions to ask. Nothing is
+  // stored as a response until the last page is submitted.
+  const allAnswers = { ...earlierAnswers, ...pageAnswers };
+  if (draftId) await deleteDraft(draftId);
+
+  const nextPage = nextPageIndex(survey.questions, pages, page, allAnswers);
+  if (nextPage !== -1) {
+    const nextDraftId =
+      JSON.stringify(allAnswers).length > MAX_METADATA_ANSWERS
+        ? await saveDraft({ answers: allAnswers })
+        : null;
     return new Response(
       JSON.stringify({
-        response_action: "errors",
-        errors: { q_0: "You've already submitted a response." },
+        response_action: "update",
+        view: buildResponseModal(survey, {
+          page: nextPage,
+          answers: allAnswers,
+          draftId: nextDraftId,
+        }),
       }),
       { status: 200, headers: { "Content-Type": "application/json" } }
     );
   }
 
-  // Extract answers - completely anonymous, no user info stored
-  const answers = {};
-  survey.questions.forEach((q, i) => {
-    const blockValues = values[`q_${i}`]?.[`answer_${i}`];
-    if (!blockValues) return;
-
-    if (q.type === "scale") {
-      answers[`q_${i}`] = blockValues.selected_option?.value;
-    } else if (q.type === "multi-select") {
-      answers[`q_${i}`] = blockValues.selected_options?.map(
-        (o) => o.value
-      );
-    } else if (q.type === "free-text") {
-      answers[`q_${i}`] = blockValues.value;
-    }
-  });
-
-  // Store anonymous response
-  const responseCount = await addResponse(surveyId, answers);
+  // Store anonymous response, scrubbing identifying details first if the
+  // survey asks for it
+  const finalAnswers = markNotAsked(survey.questions, allAnswers);
+  const responseCount = await addResponse(
+    surveyId,
+    redactionEnabled(survey) ? redactAnswers(survey, finalAnswers) : finalAnswers
+  );
 
   // Mark user as having responded (hash only, not reversible)
-  await markUserResponded(surveyId, userId);
+  await markUserResponded(survey, userId);
 
   // If show_results is enabled, show aggregated results as ephemeral
   if (survey.settings?.showResults) {
@@ -324,7 +946,9 @@ async function handleSurveyResponseSubmit(slack, payload) {
           type: "section",
           text: {
             type: "mrkdwn",
-            text: `:white_check_mark: *Thank you for responding!* Your response is anonymous.\n\nHere are the current results (${responseCount} responses):`,
+            text: privacyMode(survey)
+              ? `:white_check_mark: *Thank you for responding!* Your response is anonymous. Responses reach the survey owners in batches, so yours will show up in results later.\n\nHere are the results so far:`
+              : `:white_check_mark: *Thank you for responding!* Your response is anonymous.\n\nHere are the current results (${responseCount} responses):`,
           },
         },
         ...blocks,
@@ -334,7 +958,9 @@ async function handleSurveyResponseSubmit(slack, payload) {
   } else {
     await slack.chat.postMessage({
       channel: userId,
-      text: `:white_check_mark: *Thank you!* Your anonymous response to *${survey.title}* has been recorded. (Response #${responseCount})`,
+      text: privacyMode(survey)
+        ? `:white_check_mark: *Thank you!* Your anonymous response to *${survey.title}* has been recorded. Responses reach the survey owners in batches, so yours will show up in results later.`
+        : `:white_check_mark: *Thank you!* Your anonymous response to *${survey.title}* has been recorded. (Response #${responseCount})`,
     });
   }
 
@@ -343,3 +969,197 @@ async function handleSurveyResponseSubmit(slack, payload) {
     { status: 200, headers: { "Content-Type": "application/json" } }
   );
 }
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Shows a problem with the response as a whole. Slack only accepts errors on
+ * input blocks of the view being submitted, so it goes on the page's first
+ * input - or, if the page has none, the modal closes and the message is DMed.
+ */
+async function responseError(slack, payload, message) {
+  const input = payload.view.blocks.find((b) => b.type === "input");
+  if (input) {
+    return new Response(
+      JSON.stringify({
+        response_action: "errors",
+        errors: { [input.block_id]: message },
+      }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  }
+
+  await slack.chat.postMessage({ channel: payload.user.id, text: `:warning: ${message}` });
+  return new Response(
+    JSON.stringify({ response_action: "clear" }),
+    { status: 200, headers: { "Content-Type": "application/json" } }
+  );
+}
+
+/**
+ * The create modal carries `{ channelId, builder, surveyId }` as JSON, where
+ * `builder` is the question builder's metadata or null in text mode and
+ * `surveyId` is set when editing. Modals opened before the builder existed
+ * hold just the channel ID.
+ */
+function parseCreateMetadata(metadata) {
+  try {
+    const { channelId = "", builder = null, surveyId = null } =
+      JSON.parse(metadata);
+    return { channelId, builder, surveyId };
+  } catch {
+    return { channelId: metadata || "", builder: null, surveyId: null };
+  }
+}
+
+/**
+ * Reads and validates the questions from the create (or edit) modal, from the
+ * builder inputs or the text syntax. Returns `errors` as modal field errors,
+ * or null when the questions are fine.
+ */
+function readModalQuestions(values, builder) {
+  if (builder) {
+    const entries = readBuilderEntries(values, builder);
+    const errors = builderErrors(entries);
+    return {
+      questions: questionsFromBuilder(entries),
+      errors: Object.keys(errors).length > 0 ? errors : null,
+    };
+  }
+
+  const { questions, problems } = validateQuestionText(
+    values.survey_questions.questions_input.value,
+    values.multiselect_options?.options_input?.value || ""
+  );
+  return {
+    questions,
+    errors: problems.length > 0 ? questionTextErrors(problems) : null,
+  };
+}
+
+// Puts `{ question, message }` problems on each builder question's label
+function builderProblemErrors(builder, problems) {
+  const errors = {};
+  for (const { question, message } of problems) {
+    // Problems with the survey as a whole (question: null) go on the last entry
+    const entry = builder[question ?? builder.length - 1] || builder[builder.length - 1];
+    const blockId = entry ? `bq_${entry.key}_label` : "survey_title";
+    errors[blockId] = errors[blockId] ? `${errors[blockId]} ${message}` : message;
+  }
+  return errors;
+}
+
+/**
+ * Turns validateQuestionText problems into modal field errors. Each field
+ * shows its first few problems so the message stays readable.
+ */
+function questionTextErrors(problems) {
+  const blockIds = { questions: "survey_questions", options: "multiselect_options" };
+  const errors = {};
+  for (const field of Object.keys(blockIds)) {
+    const messages = problems
+      .filter((p) => p.field === field)
+      .map((p) => p.message);
+    if (messages.length === 0) continue;
+    const more = messages.length > 3 ? ` (and ${messages.length - 3} more)` : "";
+    errors[blockIds[field]] = messages.slice(0, 3).join(" ") + more;
+  }
+  return errors;
+}
+
+// Fields worth carrying over when the create modal is re-rendered
+function currentCreatePrefill(values) {
+  return {
+    templateId: values.survey_template?.template_select?.selected_option?.value,
+    title: values.survey_title?.title_input?.value,
+  };
+}
+
+// Re-renders the create modal in place after a template pick or builder click
+async function updateCreateModal(slack, payload, { prefill, builder = null, notice = null }) {
+  const { channelId, surveyId } = parseCreateMetadata(
+    payload.view.private_metadata
+  );
+  const templates = surveyId ? [] : await getAvailableTemplates(payload.user.id);
+  await slack.views.update({
+    view_id: payload.view.id,
+    hash: payload.view.hash,
+    view: buildCreateSurveyModal(channelId, {
+      templates,
+      prefill,
+      builder,
+      surveyId,
+      notice,
+    }),
+  });
+}
+
+// Slack caps `private_metadata` at 3000 characters; answers longer than this
+// go to the drafts store instead
+const MAX_METADATA_ANSWERS = 2500;
+
+/**
+ * Response modals carry `{ surveyId, page, answers }` (or `draftId` in place
+ * of `answers`) as JSON. Modals opened before paging existed hold just the
+ * survey ID.
+ */
+function parseResponseMetadata(metadata) {
+  try {
+    const { surveyId, page = 0, answers = {}, draftId = null } =
+      JSON.parse(metadata);
+    return { surveyId, page, answers, draftId };
+  } catch {
+    return { surveyId: metadata, page: 0, answers: {}, draftId: null };
+  }
+}
+
+/**
+ * Reads the answers to the questions at `indices` out of the submitted view
+ * state. Ranking and matrix questions are spread over one input block per
+ * rank or statement (`q_<i>_<row>`) and come back as arrays. Returns field
+ * errors keyed by block ID when a ranking uses the same option twice.
+ */
+function extractAnswers(questions, indices, values) {
+  const answers = {};
+  const errors = {};
+
+  indices.forEach((i) => {
+    const q = questions[i];
+    const key = `q_${i}`;
+
+    if (q.type === "ranking") {
+      const ranked = (q.options || []).map(
+        (_, rank) => values[`${key}_${rank}`]?.[`answer_${i}_${rank}`]?.selected_option?.value
+      );
+      ranked.forEach((opt, rank) => {
+        if (opt && ranked.indexOf(opt) !== rank)
+          errors[`${key}_${rank}`] = `"${opt}" is already ranked #${ranked.indexOf(opt) + 1}.`;
+      });
+      answers[key] = ranked;
+      return;
+    }
+
+    if (q.type === "matrix") {
+      answers[key] = (q.rows || []).map(
+        (_, row) => values[`${key}_${row}`]?.[`answer_${i}_${row}`]?.selected_option?.value
+      );
+      return;
+    }
+
+    const blockValues = values[key]?.[`answer_${i}`];
+    if (!blockValues) return;
+
+    if (q.type === "scale" || q.type === "nps" || q.type === "single-choice") {
+      answers[key] = blockValues.selected_option?.value;
+    } else if (q.type === "multi-select") {
+      answers[key] = blockValues.selected_options?.map(
+        (o) => o.value
+      );
+    } else if (q.type === "free-text") {
+      // Slack sends null for an empty input; null is reserved for "not asked"
+      answers[key] = blockValues.value ?? "";
+    }
+  });
+
+  return { answers, errors };
+}
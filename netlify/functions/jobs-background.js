@@ -0,0 +1,21 @@
+import { WebClient } from "@slack/web-api";
+import { runJob } from "./lib/jobs.js";
+
+// Background functions are stopped after 15 minutes - stop taking on new work
+// a little before that so progress is saved
+const RUN_BUDGET_MS = 14 * 60 * 1000;
+
+/**
+ * Runs one background job (see lib/jobs.js) by ID.
+ *
+ * The `-background` suffix makes this a Netlify background function: the
+ * caller gets a 202 straight away and the job runs on afterwards. Only job
+ * IDs are accepted - the job itself has to be in the jobs store already.
+ */
+export default async function handler(req) {
+  const { jobId } = await req.json().catch(() => ({}));
+  if (!jobId) return;
+
+  const slack = new WebClient(process.env.SLACK_BOT_TOKEN);
+  await runJob(slack, jobId, { deadline: new Date(Date.now() + RUN_BUDGET_MS) });
+}
@@ -6,20 +6,77 @@
  * generate those JSON trees so the rest of the code stays readable.
  */
 
+import { RECURRENCE_OPTIONS, recurrenceLabel } from "./recurrence.js";
+import {
+  summarizeQuestion,
+  surveyQuestionSummary,
+  responseTotal,
+  matchQuestionsByLabel,
+  percent,
+  scaleRange,
+  scalePoints,
+  isStarScale,
+} from "./stats.js";
+import { buildPages, askedOnPage, hasLaterPage } from "./pages.js";
+import {
+  BUILDER_TYPES,
+  MAX_BUILDER_QUESTIONS,
+  builderMetadata,
+  builderEntryNote,
+  builderEntriesFromQuestions,
+} from "./builder.js";
+import { formatQuestions } from "./parse-questions.js";
+import {
+  DEFAULT_MIN_RESPONSES,
+  MIN_OPTION_COUNT,
+  resultsHidden,
+  hiddenResultsText,
+  optionSuppressed,
+  RELEASE_BATCH_SIZE,
+  RELEASE_INTERVAL_MS,
+} from "./privacy.js";
+import { REDACTED, redactionEnabled } from "./redact.js";
+import { FREE_TEXT_INLINE_MAX, summarizeFreeText } from "./free-text.js";
+import {
+  getWorkspaceRetentionDays,
+  purgeDueAt,
+  purgedText,
+  PURGE_WARNING_DAYS,
+} from "./retention.js";
+import { getOwners } from "./permissions.js";
+
 // ─── Survey Creation Modal ────────────────────────────────────────────────────
 // This is the modal ERG leads see when they run /pulse create.
-// It collects: title, questions (as a text blob, one per line), question type,
-// and settings toggles.
+// It collects: title, questions, co-owners, an optional close deadline, an
+// optional recurrence, and settings toggles. Questions are entered either in
+// the question builder (`builder` is a list of entries, see builder.js) or as
+// a text blob, one per line. Picking a template re-renders the modal with
+// `prefill` set.
+//
+// With `surveyId` set the same modal edits an existing survey: only the title
+// and questions are shown, and submitting saves them. `notice` is a line shown
+// under the mode toggle, e.g. why the builder couldn't be opened.
 
-export function buildCreateSurveyModal(channelId) {
+export function buildCreateSurveyModal(
+  channelId,
+  { templates = [], prefill = null, builder = null, surveyId = null, notice = null } = {}
+) {
   return {
     type: "modal",
-    callback_id: "create_survey_submit",
-    private_metadata: channelId || "",
-    title: { type: "plain_text", text: "Create Pulse Survey" },
-    submit: { type: "plain_text", text: "Create" },
+    callback_id: surveyId ? "edit_survey_submit" : "create_survey_submit",
+    private_metadata: JSON.stringify({
+      channelId: channelId || "",
+      builder: builder && builderMetadata(builder),
+      ...(surveyId && { surveyId }),
+    }),
+    title: {
+      type: "plain_text",
+      text: surveyId ? "Edit Pulse Survey" : "Create Pulse Survey",
+    },
+    submit: { type: "plain_text", text: surveyId ? "Save" : "Create" },
     close: { type: "plain_text", text: "Cancel" },
     blocks: [
+      ...(surveyId ? [] : buildTemplatePicker(templates, prefill?.templateId)),
       {
         type: "input",
         block_id: "survey_title",
@@ -31,98 +88,494 @@ export function buildCreateSurveyModal(channelId) {
             type: "plain_text",
             text: "e.g. Q1 Team Pulse Check",
           },
+          ...(prefill?.title && { initial_value: prefill.title }),
         },
       },
       {
-        type: "input",
-        block_id: "survey_questions",
-        label: { type: "plain_text", text: "Questions (one per line)" },
-        element: {
-          type: "plain_text_input",
-          action_id: "questions_input",
-          multiline: true,
-          placeholder: {
-            type: "plain_text",
-            text: "How satisfied are you with team communication?\nWhich initiatives would you like to see? (multi-select)\nAny additional feedback? (free-text)",
+        type: "actions",
+        block_id: "survey_mode",
+        elements: [
+          {
+            type: "button",
+            action_id: "builder_toggle",
+            text: {
+              type: "plain_text",
+              text: builder ? "Edit as text" : "Use question builder",
+            },
+            value: builder ? "text" : "builder",
           },
+        ],
+      },
+      ...(notice
+        ? [{ type: "context", elements: [{ type: "mrkdwn", text: notice }] }]
+        : []),
+      ...(builder ? buildQuestionBuilder(builder) : buildQuestionText(prefill)),
+      ...(surveyId ? [] : buildSurveyOptionBlocks()),
+    ],
+  };
+}
+
+// The creation modal opened on an existing survey. Opens in the builder when
+// the survey fits in it, otherwise as text.
+export function buildEditSurveyModal(survey) {
+  const useBuilder = survey.questions.length <= MAX_BUILDER_QUESTIONS;
+  return buildCreateSurveyModal(survey.channelId, {
+    surveyId: survey.id,
+    prefill: {
+      title: survey.title,
+      ...(!useBuilder && formatQuestions(survey.questions)),
+    },
+    builder: useBuilder ? builderEntriesFromQuestions(survey.questions) : null,
+  });
+}
+
+// Owners, deadline, recurrence and settings - only asked for on creation
+function buildSurveyOptionBlocks() {
+  return [
+    {
+      type: "input",
+      block_id: "survey_owners",
+      label: { type: "plain_text", text: "Co-owners" },
+      optional: true,
+      element: {
+        type: "multi_users_select",
+        action_id: "owners_input",
+        placeholder: { type: "plain_text", text: "Add people" },
+      },
+      hint: {
+        type: "plain_text",
+        text: "Co-owners can view results, export and close this survey. You are always an owner.",
+      },
+    },
+    {
+      type: "input",
+      block_id: "survey_deadline",
+      label: { type: "plain_text", text: "Close automatically at" },
+      optional: true,
+      element: {
+        type: "datetimepicker",
+        action_id: "deadline_input",
+      },
+      hint: {
+        type: "plain_text",
+        text: "Leave empty to keep the survey open until you close it.",
+      },
+    },
+    {
+      type: "input",
+      block_id: "survey_recurrence",
+      label: { type: "plain_text", text: "Repeat" },
+      optional: true,
+      element: {
+        type: "static_select",
+        action_id: "recurrence_input",
+        placeholder: { type: "plain_text", text: "Does not repeat" },
+        options: RECURRENCE_OPTIONS.map((o) => ({
+          text: { type: "plain_text", text: o.label },
+          value: o.value,
+        })),
+      },
+      hint: {
+        type: "plain_text",
+        text: "Each new round is posted to this channel with the same questions, and the previous round closes.",
+      },
+    },
+    {
+      type: "divider",
+    },
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: "*Settings*" },
+    },
+    {
+      type: "input",
+      block_id: "survey_min_responses",
+      label: { type: "plain_text", text: "Minimum responses before results are shown" },
+      optional: true,
+      element: {
+        type: "number_input",
+        action_id: "min_responses_input",
+        is_decimal_allowed: false,
+        min_value: "1",
+        initial_value: String(DEFAULT_MIN_RESPONSES),
+      },
+      hint: {
+        type: "plain_text",
+        text: "Protects anonymity in small groups. Nobody - including you - sees results or exports until this many people respond.",
+      },
+    },
+    {
+      type: "input",
+      block_id: "survey_retention",
+      label: { type: "plain_text", text: "Delete responses after (days)" },
+      optional: true,
+      element: {
+        type: "number_input",
+        action_id: "retention_input",
+        is_decimal_allowed: false,
+        min_value: "1",
+      },
+      hint: {
+        type: "plain_text",
+        text: `Counted from when the survey closes; only aggregate results are kept. Owners are reminded to export ${PURGE_WARNING_DAYS} days before. ${
+          getWorkspaceRetentionDays()
+            ? `Leave empty for the workspace default of ${getWorkspaceRetentionDays()} days.`
+            : "Leave empty to keep responses until the survey is deleted."
+        }`,
+      },
+    },
+    {
+      type: "actions",
+      block_id: "survey_settings",
+      elements: [
+        {
+          type: "checkboxes",
+          action_id: "settings_checkboxes",
+          options: [
+            {
+              text: {
+                type: "mrkdwn",
+                text: "*Show results after completing*",
+              },
+              description: {
+                type: "plain_text",
+                text: "Respondents see aggregated results after submitting",
+              },
+              value: "show_results",
+            },
+            {
+              text: {
+                type: "mrkdwn",
+                text: "*Include free-text in shared results*",
+              },
+              description: {
+                type: "plain_text",
+                text: "By default, free-text answers are only visible to you",
+              },
+              value: "share_freetext",
+            },
+            {
+              text: {
+                type: "mrkdwn",
+                text: "*Let workspace admins read free-text answers*",
+              },
+              description: {
+                type: "plain_text",
+                text: "Admins always see aggregates; free-text stays with owners unless you allow this",
+              },
+              value: "admin_freetext",
+            },
+            {
+              text: {
+                type: "mrkdwn",
+                text: "*Remind people before the deadline*",
+              },
+              description: {
+                type: "plain_text",
+                text: "Channel members who haven't responded get a DM a day before the survey closes",
+              },
+              value: "remind_before_deadline",
+            },
+            {
+              text: {
+                type: "mrkdwn",
+                text: "*Privacy mode*",
+              },
+              description: {
+                type: "plain_text",
+                text: `Counts and results update in batches of ${RELEASE_BATCH_SIZE} (or every ${RELEASE_INTERVAL_MS / 3600000} hours), so nobody can tell when a particular person responded`,
+              },
+              value: "privacy_mode",
+            },
+            {
+              text: {
+                type: "mrkdwn",
+                text: "*Remove identifying details from written answers*",
+              },
+              description: {
+                type: "plain_text",
+                text: "Names, @mentions, email addresses and phone numbers in free-text answers are replaced with [redacted] before they're saved",
+              },
+              value: "redact_pii",
+            },
+          ],
         },
-        hint: {
+      ],
+    },
+    {
+      type: "input",
+      block_id: "survey_redact_names",
+      label: { type: "plain_text", text: "Names to redact" },
+      optional: true,
+      element: {
+        type: "plain_text_input",
+        action_id: "redact_names_input",
+        placeholder: { type: "plain_text", text: "e.g. Priya, Sam Lee, Jordan" },
+      },
+      hint: {
+        type: "plain_text",
+        text: "Comma-separated. Used when identifying details are removed from written answers.",
+      },
+    },
+  ];
+}
+
+// The text syntax: questions one per line, options in a separate box
+function buildQuestionText(prefill) {
+  return [
+    {
+      type: "input",
+      block_id: "survey_questions",
+      label: { type: "plain_text", text: "Questions (one per line)" },
+      element: {
+        type: "plain_text_input",
+        action_id: "questions_input",
+        multiline: true,
+        placeholder: {
+          type: "plain_text",
+          text: "How satisfied are you with team communication?\nWhich initiatives would you like to see? (multi-select)\nAny additional feedback? (free-text)",
+        },
+        ...(prefill?.rawQuestions && { initial_value: prefill.rawQuestions }),
+      },
+      hint: {
+        type: "plain_text",
+        text: 'Add (multi-select), (single-choice), (ranking), (matrix), (nps) or (free-text) after a question to set its type. Default is a 1-5 rating scale; use (scale 1-7: Low..High) for a custom range. Add (if Q2 = Yes) to only ask a question for some answers, and a --- line to start a new page.',
+      },
+    },
+    {
+      type: "input",
+      block_id: "multiselect_options",
+      label: {
+        type: "plain_text",
+        text: "Options or statements (comma-separated, per question)",
+      },
+      optional: true,
+      element: {
+        type: "plain_text_input",
+        action_id: "options_input",
+        multiline: true,
+        placeholder: {
           type: "plain_text",
-          text: 'Add (multi-select) or (free-text) after a question to set its type. Default is a 1-5 rating scale.',
+          text: "Q2: Social events, Mentorship program, Speaker series, Ally training",
         },
+        ...(prefill?.rawOptions && { initial_value: prefill.rawOptions }),
       },
+      hint: {
+        type: "plain_text",
+        text: "Format: Q2: Option A, Option B, Option C (use the question number). Needed for multi-select, single-choice, ranking and matrix questions.",
+      },
+    },
+  ];
+}
+
+// One label, type and options input per question, plus add and remove buttons
+function buildQuestionBuilder(entries) {
+  const blocks = [];
+  const toOption = (t) => ({
+    text: { type: "plain_text", text: t.label },
+    value: t.value,
+  });
+
+  entries.forEach((entry, i) => {
+    const prefix = `bq_${entry.key}`;
+    const type =
+      BUILDER_TYPES.find((t) => t.value === entry.type) || BUILDER_TYPES[0];
+    const note = builderEntryNote(entry, entries);
+
+    blocks.push(
       {
         type: "input",
-        block_id: "multiselect_options",
-        label: {
-          type: "plain_text",
-          text: "Multi-select options (comma-separated, per question)",
+        block_id: `${prefix}_label`,
+        label: { type: "plain_text", text: `Question ${i + 1}` },
+        element: {
+          type: "plain_text_input",
+          action_id: "label_input",
+          placeholder: { type: "plain_text", text: "What do you want to ask?" },
+          ...(entry.label && { initial_value: entry.label }),
         },
+        ...(note && { hint: { type: "plain_text", text: note } }),
+      },
+      {
+        type: "input",
+        block_id: `${prefix}_type`,
+        label: { type: "plain_text", text: "Type" },
+        element: {
+          type: "static_select",
+          action_id: "type_input",
+          options: BUILDER_TYPES.map(toOption),
+          initial_option: toOption(type),
+        },
+      },
+      {
+        type: "input",
+        block_id: `${prefix}_options`,
+        label: { type: "plain_text", text: "Options" },
         optional: true,
         element: {
           type: "plain_text_input",
           action_id: "options_input",
-          multiline: true,
           placeholder: {
             type: "plain_text",
-            text: "Q2: Social events, Mentorship program, Speaker series, Ally training",
+            text: "e.g. Social events, Mentorship, Speaker series",
           },
+          ...(entry.options.length > 0 && {
+            initial_value: entry.options.join(", "),
+          }),
         },
         hint: {
           type: "plain_text",
-          text: "Format: Q2: Option A, Option B, Option C (use the question number)",
+          text: "Comma-separated. Needed for single choice, multi-select and ranking, and lists the statements of a matrix.",
         },
-      },
-      {
-        type: "divider",
-      },
-      {
-        type: "section",
-        text: { type: "mrkdwn", text: "*Settings*" },
-      },
-      {
+      }
+    );
+
+    if (entries.length > 1) {
+      blocks.push({
         type: "actions",
-        block_id: "survey_settings",
+        block_id: `${prefix}_actions`,
         elements: [
           {
-            type: "checkboxes",
-            action_id: "settings_checkboxes",
-            options: [
-              {
-                text: {
-                  type: "mrkdwn",
-                  text: "*Show results after completing*",
-                },
-                description: {
-                  type: "plain_text",
-                  text: "Respondents see aggregated results after submitting",
-                },
-                value: "show_results",
-              },
-              {
-                text: {
-                  type: "mrkdwn",
-                  text: "*Include free-text in shared results*",
-                },
-                description: {
-                  type: "plain_text",
-                  text: "By default, free-text answers are only visible to you",
-                },
-                value: "share_freetext",
-              },
-            ],
+            type: "button",
+            action_id: "builder_remove",
+            text: { type: "plain_text", text: `Remove question ${i + 1}` },
+            value: entry.key,
           },
         ],
+      });
+    }
+  });
+
+  if (entries.length < MAX_BUILDER_QUESTIONS) {
+    blocks.push({
+      type: "actions",
+      block_id: "builder_actions",
+      elements: [
+        {
+          type: "button",
+          action_id: "builder_add",
+          text: { type: "plain_text", text: ":heavy_plus_sign: Add question" },
+          value: "add",
+        },
+      ],
+    });
+  } else {
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `The builder holds up to ${MAX_BUILDER_QUESTIONS} questions. Use *Edit as text* for longer surveys.`,
+        },
+      ],
+    });
+  }
+
+  return blocks;
+}
+
+// "Start from template" select at the top of the creation modal. Choosing one
+// fires a `template_select` block action that pre-fills the form.
+function buildTemplatePicker(templates, selectedId) {
+  if (templates.length === 0) return [];
+
+  const toOption = (t) => ({
+    text: { type: "plain_text", text: t.name.slice(0, 75) },
+    value: t.id,
+  });
+  const groups = [
+    { label: "Org templates", items: templates.filter((t) => t.builtin) },
+    {
+      label: "Shared in workspace",
+      items: templates.filter((t) => !t.builtin && t.visibility === "workspace"),
+    },
+    {
+      label: "Your templates",
+      items: templates.filter((t) => !t.builtin && t.visibility !== "workspace"),
+    },
+  ].filter((g) => g.items.length > 0);
+
+  const selected = templates.find((t) => t.id === selectedId);
+
+  return [
+    {
+      type: "section",
+      block_id: "survey_template",
+      text: { type: "mrkdwn", text: "*Start from template* (optional)" },
+      accessory: {
+        type: "static_select",
+        action_id: "template_select",
+        placeholder: { type: "plain_text", text: "Choose a template" },
+        option_groups: groups.map((g) => ({
+          label: { type: "plain_text", text: g.label },
+          options: g.items.map(toOption),
+        })),
+        ...(selected && { initial_option: toOption(selected) }),
       },
-    ],
-  };
+    },
+    { type: "divider" },
+  ];
+}
+
+// ─── Template List ────────────────────────────────────────────────────────────
+
+export function buildTemplateListBlocks(templates, userId) {
+  const lines = templates.map((t) => {
+    const scope = t.builtin
+      ? ":star: Org template"
+      : t.visibility === "workspace"
+        ? `:globe_with_meridians: Shared by <@${t.createdBy}>`
+        : ":lock: Private";
+    const mine = t.createdBy === userId ? " · yours" : "";
+    return `• *${t.name}* - ${t.questions.length} question${t.questions.length === 1 ? "" : "s"} · ${scope}${mine}`;
+  });
+
+  // Chunk the list so no section goes over Slack's 3000-character limit
+  const chunks = [];
+  for (let i = 0; i < lines.length; i += 20) {
+    chunks.push(lines.slice(i, i + 20).join("\n"));
+  }
+
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `:card_index: *Survey Templates* (${templates.length})`,
+      },
+    },
+    ...chunks.map((text) => ({
+      type: "section",
+      text: { type: "mrkdwn", text },
+    })),
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: "Pick one from *Start from template* in `/pulse create`. Save your own with `/pulse template save <survey-id> <name>`.",
+        },
+      ],
+    },
+  ];
 }
 
 // ─── Survey Response Modal ────────────────────────────────────────────────────
 // Dynamically built from the survey's questions. Each question type gets a
-// different Block Kit element.
+// different Block Kit element. Ranking and matrix questions span several
+// input blocks (`q_<i>_<row>`), one per rank position or statement.
+//
+// Surveys with page breaks or skip logic are answered a page at a time: `page`
+// picks the page to render and `answers` carries what was answered on earlier
+// pages (it also decides which conditional questions are shown). When those
+// answers are too long for `private_metadata` they are parked in the drafts
+// store and only `draftId` travels with the view.
 
-export function buildResponseModal(survey) {
+export function buildResponseModal(
+  survey,
+  { page = 0, answers = {}, draftId = null } = {}
+) {
+  const pages = buildPages(survey.questions);
+  const isLastPage = !hasLaterPage(survey.questions, pages, page, answers);
   const blocks = [
     {
       type: "section",
@@ -131,71 +584,273 @@ export function buildResponseModal(survey) {
         text: `*${survey.title}*\n:lock: Your responses are completely anonymous. No identifying information is stored.`,
       },
     },
-    { type: "divider" },
   ];
 
-  survey.questions.forEach((q, i) => {
-    const blockId = `q_${i}`;
+  if (pages.length > 1) {
+    blocks.push({
+      type: "context",
+      elements: [
+        { type: "mrkdwn", text: `Page ${page + 1} of ${pages.length}` },
+      ],
+    });
+  }
+
+  blocks.push({ type: "divider" });
+
+  askedOnPage(survey.questions, pages[page] || [], answers).forEach((i) => {
+    blocks.push(
+      ...buildQuestionBlocks(survey.questions[i], i, {
+        redact: redactionEnabled(survey),
+      })
+    );
+  });
+
+  return {
+    type: "modal",
+    callback_id: "survey_response_submit",
+    private_metadata: JSON.stringify(
+      draftId
+        ? { surveyId: survey.id, page, draftId }
+        : { surveyId: survey.id, page, answers }
+    ),
+    title: { type: "plain_text", text: "Pulse Survey" },
+    submit: { type: "plain_text", text: isLastPage ? "Submit" : "Next" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks,
+  };
+}
+
+// The input blocks for one question, shared by the response and preview
+// modals. `redact` warns that free-text answers will be scrubbed.
+function buildQuestionBlocks(q, i, { redact = false } = {}) {
+  const blockId = `q_${i}`;
+  const blocks = [];
+
+  if (q.type === "scale") {
+    blocks.push({
+      type: "input",
+      block_id: blockId,
+      label: { type: "plain_text", text: q.label },
+      element: {
+        type: "static_select",
+        action_id: `answer_${i}`,
+        placeholder: { type: "plain_text", text: "Select a rating" },
+        options: scalePoints(q).map((n) => ({
+          text: { type: "plain_text", text: scaleOptionText(q, n) },
+          value: String(n),
+        })),
+      },
+    });
+  } else if (q.type === "nps") {
+    blocks.push({
+      type: "input",
+      block_id: blockId,
+      label: { type: "plain_text", text: q.label },
+      element: {
+        type: "static_select",
+        action_id: `answer_${i}`,
+        placeholder: { type: "plain_text", text: "Select 0-10" },
+        options: Array.from({ length: 11 }, (_, n) => ({
+          text: {
+            type: "plain_text",
+            text:
+              n === 0
+                ? "0 - Not at all likely"
+                : n === 10
+                  ? "10 - Extremely likely"
+                  : String(n),
+          },
+          value: String(n),
+        })),
+      },
+    });
+  } else if (q.type === "multi-select") {
+    blocks.push({
+      type: "input",
+      block_id: blockId,
+      label: { type: "plain_text", text: q.label },
+      element: {
+        type: "multi_static_select",
+        action_id: `answer_${i}`,
+        placeholder: { type: "plain_text", text: "Select all that apply" },
+        options: (q.options || []).map((opt) => ({
+          text: { type: "plain_text", text: opt },
+          value: opt,
+        })),
+      },
+    });
+  } else if (q.type === "single-choice") {
+    const options = (q.options || []).map((opt) => ({
+      text: { type: "plain_text", text: opt },
+      value: opt,
+    }));
+
+    // Radio buttons top out at 10 options; longer lists use a menu
+    blocks.push({
+      type: "input",
+      block_id: blockId,
+      label: { type: "plain_text", text: q.label },
+      element:
+        options.length <= 10
+          ? { type: "radio_buttons", action_id: `answer_${i}`, options }
+          : {
+              type: "static_select",
+              action_id: `answer_${i}`,
+              placeholder: { type: "plain_text", text: "Choose one" },
+              options,
+            },
+    });
+  } else if (q.type === "ranking") {
+    blocks.push({
+      type: "section",
+      block_id: blockId,
+      text: {
+        type: "mrkdwn",
+        text: `*${q.label}*\nRank every option, starting with the most important.`,
+      },
+    });
+    (q.options || []).forEach((_, rank) => {
+      blocks.push({
+        type: "input",
+        block_id: `${blockId}_${rank}`,
+        label: { type: "plain_text", text: `#${rank + 1}` },
+        element: {
+          type: "static_select",
+          action_id: `answer_${i}_${rank}`,
+          placeholder: { type: "plain_text", text: "Choose an option" },
+          options: q.options.map((opt) => ({
+            text: { type: "plain_text", text: opt },
+            value: opt,
+          })),
+        },
+      });
+    });
+  } else if (q.type === "matrix") {
+    blocks.push({
+      type: "section",
+      block_id: blockId,
+      text: { type: "mrkdwn", text: `*${q.label}*${scaleLegend(q)}` },
+    });
+    (q.rows || []).forEach((statement, row) => {
+      blocks.push({
+        type: "input",
+        block_id: `${blockId}_${row}`,
+        label: { type: "plain_text", text: statement },
+        element: {
+          type: "static_select",
+          action_id: `answer_${i}_${row}`,
+          placeholder: { type: "plain_text", text: "Select a rating" },
+          options: scalePoints(q).map((n) => ({
+            text: { type: "plain_text", text: scaleOptionText(q, n) },
+            value: String(n),
+          })),
+        },
+      });
+    });
+  } else if (q.type === "free-text") {
+    blocks.push({
+      type: "input",
+      block_id: blockId,
+      label: { type: "plain_text", text: q.label },
+      element: {
+        type: "plain_text_input",
+        action_id: `answer_${i}`,
+        multiline: true,
+        placeholder: {
+          type: "plain_text",
+          text: "Your response is anonymous...",
+        },
+      },
+      optional: true,
+      ...(redact && {
+        hint: {
+          type: "plain_text",
+          text: `Names, @mentions, email addresses and phone numbers will be replaced with ${REDACTED} before your answer is saved.`,
+        },
+      }),
+    });
+  }
+
+  return blocks;
+}
+
+// ─── Survey Preview ───────────────────────────────────────────────────────────
+// Pushed on top of the creation modal before a survey is published. Shows the
+// channel card and every page of the response modal - conditional questions
+// included - exactly as respondents will see them. Closing it goes back to
+// the creation modal; "Publish" posts the survey stored under `draftId`.
+
+export function buildPreviewModal(survey, { draftId, notice = null } = {}) {
+  const pages = buildPages(survey.questions);
+  const card = buildSurveyMessage({ ...survey, id: "preview" }).filter(
+    (b) => b.type !== "actions"
+  );
+
+  const blocks = [
+    ...(notice
+      ? [{ type: "section", text: { type: "mrkdwn", text: `:warning: ${notice}` } }]
+      : []),
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: ":eyes: This is what respondents will see. Check for typos - questions can't be changed once people start responding.",
+        },
+      ],
+    },
+    ...card,
+  ];
+
+  pages.forEach((page, p) => {
+    blocks.push({
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: pages.length > 1 ? `Page ${p + 1} of ${pages.length}` : "Questions",
+      },
+    });
 
-    if (q.type === "scale") {
-      blocks.push({
-        type: "input",
-        block_id: blockId,
-        label: { type: "plain_text", text: q.label },
-        element: {
-          type: "static_select",
-          action_id: `answer_${i}`,
-          placeholder: { type: "plain_text", text: "Select a rating" },
-          options: [1, 2, 3, 4, 5].map((n) => ({
-            text: {
-              type: "plain_text",
-              text: `${"★".repeat(n)}${"☆".repeat(5 - n)} (${n})`,
+    page.forEach((i) => {
+      const q = survey.questions[i];
+      // Inputs are optional here so the preview itself can be submitted
+      const inputs = buildQuestionBlocks(q, i, { redact: redactionEnabled(survey) });
+      blocks.push(
+        ...inputs.map((b) => (b.type === "input" ? { ...b, optional: true } : b))
+      );
+      if (q.condition) {
+        blocks.push({
+          type: "context",
+          elements: [
+            {
+              type: "mrkdwn",
+              text: `Only asked if Q${q.condition.question + 1} = ${q.condition.value}`,
             },
-            value: String(n),
-          })),
-        },
-      });
-    } else if (q.type === "multi-select") {
-      blocks.push({
-        type: "input",
-        block_id: blockId,
-        label: { type: "plain_text", text: q.label },
-        element: {
-          type: "multi_static_select",
-          action_id: `answer_${i}`,
-          placeholder: { type: "plain_text", text: "Select all that apply" },
-          options: (q.options || []).map((opt) => ({
-            text: { type: "plain_text", text: opt },
-            value: opt,
-          })),
-        },
-      });
-    } else if (q.type === "free-text") {
-      blocks.push({
-        type: "input",
-        block_id: blockId,
-        label: { type: "plain_text", text: q.label },
-        element: {
-          type: "plain_text_input",
-          action_id: `answer_${i}`,
-          multiline: true,
-          placeholder: {
-            type: "plain_text",
-            text: "Your response is anonymous...",
-          },
-        },
-        optional: true,
-      });
-    }
+          ],
+        });
+      }
+    });
   });
 
+  // Slack modals hold at most 100 blocks
+  if (blocks.length > 100) {
+    blocks.splice(99);
+    blocks.push({
+      type: "context",
+      elements: [
+        { type: "mrkdwn", text: "_Preview truncated - the rest of the survey isn't shown._" },
+      ],
+    });
+  }
+
   return {
     type: "modal",
-    callback_id: "survey_response_submit",
-    private_metadata: survey.id,
-    title: { type: "plain_text", text: "Pulse Survey" },
-    submit: { type: "plain_text", text: "Submit" },
-    close: { type: "plain_text", text: "Cancel" },
+    callback_id: "create_survey_preview",
+    private_metadata: JSON.stringify({ draftId }),
+    notify_on_close: true,
+    title: { type: "plain_text", text: "Preview" },
+    submit: { type: "plain_text", text: "Publish" },
+    close: { type: "plain_text", text: "Back to edit" },
     blocks,
   };
 }
@@ -203,12 +858,19 @@ export function buildResponseModal(survey) {
 // ─── Survey Posted to Channel ─────────────────────────────────────────────────
 
 export function buildSurveyMessage(survey) {
+  const deadline = survey.closesAt
+    ? `\n:alarm_clock: Closes ${formatSlackDate(survey.closesAt)}`
+    : "";
+  const round = survey.seriesId
+    ? `\n:repeat: ${recurrenceLabel(survey.recurrence)} pulse · Round ${survey.round}`
+    : "";
+
   return [
     {
       type: "section",
       text: {
         type: "mrkdwn",
-        text: `:clipboard: *${survey.title}*\n\n:lock: All responses are *completely anonymous*. Your identity is never stored.\n:bar_chart: ${survey.questions.length} question${survey.questions.length === 1 ? "" : "s"} · Takes about 1 minute`,
+        text: `:clipboard: *${survey.title}*\n\n:lock: All responses are *completely anonymous*. Your identity is never stored.\n:bar_chart: ${survey.questions.length} question${survey.questions.length === 1 ? "" : "s"} · Takes about 1 minute${deadline}${round}`,
       },
     },
     { type: "divider" },
@@ -228,21 +890,224 @@ export function buildSurveyMessage(survey) {
   ];
 }
 
+// Replaces the channel card once a survey is deleted
+export function buildSurveyRemovedMessage(survey) {
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `:wastebasket: *${survey.title}* has been removed by its owner. Its responses have been deleted.`,
+      },
+    },
+  ];
+}
+
+// ─── Free-Text Answers ────────────────────────────────────────────────────────
+// Past FREE_TEXT_INLINE_MAX answers, results summarize a free-text question
+// and a button opens every answer, grouped by theme, a page at a time.
+
+const FREE_TEXT_PAGE_SIZE = 20;
+
+// Slack rejects section text over 3000 characters
+const SECTION_TEXT_MAX = 3000;
+
+function buildFreeTextSummary(survey, q, i, texts) {
+  const { keywords, sentiment, themes } = summarizeFreeText(texts);
+
+  const lines = [`*${q.label}* (${texts.length} responses)`];
+  if (keywords.length > 0) {
+    lines.push(
+      `Common words: ${keywords.map((k) => `*${k.term}* (${k.count})`).join(" · ")}`
+    );
+  }
+  lines.push(
+    `Tone: :slightly_smiling_face: ${sentiment.positive} positive · :neutral_face: ${sentiment.neutral} neutral · :slightly_frowning_face: ${sentiment.negative} negative`
+  );
+
+  const themeLines = themes.map(
+    (t) =>
+      `• *${t.term || "Other"}* (${t.texts.length}) - _${truncate(oneLine(t.texts[0]), 150)}_`
+  );
+
+  return [
+    { type: "section", text: { type: "mrkdwn", text: lines.join("\n") } },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: truncate(`*Themes*\n${themeLines.join("\n")}`, SECTION_TEXT_MAX),
+      },
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: "Tone and themes come from simple word matching - read the answers before drawing conclusions.",
+        },
+      ],
+    },
+    {
+      type: "actions",
+      elements: [
+        {
+          type: "button",
+          text: { type: "plain_text", text: `Read all ${texts.length} answers` },
+          action_id: "free_text_read",
+          value: JSON.stringify({ surveyId: survey.id, question: i, page: 0 }),
+        },
+      ],
+    },
+  ];
+}
+
+/**
+ * Every answer to free-text question `i`, grouped by theme, one page at a
+ * time. Previous/Next update the modal in place.
+ */
+export function buildFreeTextModal(survey, i, texts, page = 0) {
+  const q = survey.questions[i];
+  const entries = summarizeFreeText(texts).themes.flatMap((t) =>
+    t.texts.map((text) => ({ theme: t.term, text }))
+  );
+  const pageCount = Math.max(1, Math.ceil(entries.length / FREE_TEXT_PAGE_SIZE));
+  const start = page * FREE_TEXT_PAGE_SIZE;
+  const shown = entries.slice(start, start + FREE_TEXT_PAGE_SIZE);
+
+  const blocks = [
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: truncate(`*${q.label}*`, SECTION_TEXT_MAX) },
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `Answers ${start + 1}-${start + shown.length} of ${entries.length}, grouped by theme · Page ${page + 1} of ${pageCount}`,
+        },
+      ],
+    },
+  ];
+
+  shown.forEach((entry, n) => {
+    const previous = n > 0 ? shown[n - 1] : entries[start - 1];
+    if (n === 0 || previous.theme !== entry.theme) {
+      const continued = n === 0 && previous?.theme === entry.theme ? " (continued)" : "";
+      blocks.push({ type: "divider" });
+      blocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `:label: *${entry.theme || "Other"}*${continued}`,
+        },
+      });
+    }
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `> _${truncate(oneLine(entry.text), SECTION_TEXT_MAX - 10)}_`,
+      },
+    });
+  });
+
+  const buttons = [];
+  if (page > 0) {
+    buttons.push({
+      type: "button",
+      text: { type: "plain_text", text: "Previous" },
+      action_id: "free_text_page",
+      value: JSON.stringify({ surveyId: survey.id, question: i, page: page - 1 }),
+    });
+  }
+  if (page < pageCount - 1) {
+    buttons.push({
+      type: "button",
+      text: { type: "plain_text", text: "Next" },
+      action_id: "free_text_page",
+      value: JSON.stringify({ surveyId: survey.id, question: i, page: page + 1 }),
+    });
+  }
+  if (buttons.length > 0) blocks.push({ type: "actions", elements: buttons });
+
+  return {
+    type: "modal",
+    title: { type: "plain_text", text: "Free-text answers" },
+    close: { type: "plain_text", text: "Close" },
+    blocks,
+  };
+}
+
+// Quotes split across as many sections as the text limit needs
+function quoteSections(heading, texts) {
+  const sections = [];
+  let current = heading;
+  texts.forEach((t) => {
+    const quote = `> _${truncate(oneLine(t), SECTION_TEXT_MAX - heading.length - 10)}_`;
+    if (current.length + quote.length + 1 > SECTION_TEXT_MAX) {
+      sections.push(current);
+      current = quote;
+    } else {
+      current += `\n${quote}`;
+    }
+  });
+  sections.push(current);
+  return sections.map((text) => ({ type: "section", text: { type: "mrkdwn", text } }));
+}
+
+// ─── Delete Confirmation ──────────────────────────────────────────────────────
+
+export function buildDeleteConfirmModal(survey) {
+  const count = survey.responseCount || 0;
+
+  return {
+    type: "modal",
+    callback_id: "delete_survey_confirm",
+    private_metadata: survey.id,
+    title: { type: "plain_text", text: "Delete survey" },
+    submit: { type: "plain_text", text: "Delete" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `:warning: Delete *${survey.title}*?\n\nThis permanently removes the survey and all ${count} response${count === 1 ? "" : "s"}. Results and exports will no longer be available, and the card in the channel will say the survey was removed. This can't be undone.`,
+        },
+      },
+    ],
+  };
+}
+
 // ─── Results Formatting ───────────────────────────────────────────────────────
 
 export function buildResultsBlocks(survey, responses, { isAdmin = false, isShare = false } = {}) {
+  // Purged surveys report from the aggregates kept on the survey record
+  const total = responseTotal(survey, responses);
   const blocks = [
     {
       type: "section",
       text: {
         type: "mrkdwn",
-        text: `:bar_chart: *Results: ${survey.title}*\n${responses.length} response${responses.length === 1 ? "" : "s"} · Status: ${survey.status}`,
+        text: `:bar_chart: *Results: ${survey.title}*\n${total} response${total === 1 ? "" : "s"} · Status: ${survey.status}`,
       },
     },
+    ...(survey.purgedAt
+      ? [
+          {
+            type: "context",
+            elements: [
+              { type: "mrkdwn", text: `:wastebasket: ${purgedText(survey)}.` },
+            ],
+          },
+        ]
+      : []),
     { type: "divider" },
   ];
 
-  if (responses.length === 0) {
+  if (total === 0) {
     blocks.push({
       type: "section",
       text: { type: "mrkdwn", text: "_No responses yet._" },
@@ -250,62 +1115,113 @@ export function buildResultsBlocks(survey, responses, { isAdmin = false, isShare
     return blocks;
   }
 
+  if (resultsHidden(survey, total)) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `:lock: _${hiddenResultsText(survey, total)}._`,
+      },
+    });
+    return blocks;
+  }
+
   survey.questions.forEach((q, i) => {
-    const key = `q_${i}`;
+    const summary = surveyQuestionSummary(survey, i, responses);
 
     if (q.type === "scale") {
-      const values = responses.map((r) => parseFloat(r[key])).filter(Boolean);
-      const avg = values.reduce((a, b) => a + b, 0) / values.length;
-      const rounded = Math.round(avg * 10) / 10;
-      const filledBars = Math.round(avg);
-      const bar = "█".repeat(filledBars) + "░".repeat(5 - filledBars);
-
-      // Distribution
-      const dist = [1, 2, 3, 4, 5].map(
-        (n) => values.filter((v) => v === n).length
-      );
+      const { min, max } = scaleRange(q);
+      const rounded = Math.round(summary.average * 10) / 10;
+      const dist = summary.distribution
+        .map((count, idx) => `${scalePointText(q, min + idx)}: ${count}`)
+        .join(" · ");
+
+      blocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*${q.label}*\n${scaleBar(q, summary.average)} *${rounded}/${max}* (${summary.count} responses)\n${dist}${scaleLegend(q)}`,
+        },
+      });
+    } else if (q.type === "nps") {
+      const pct = (n) => percent(n, summary.count);
 
       blocks.push({
         type: "section",
         text: {
           type: "mrkdwn",
-          text: `*${q.label}*\n${bar} *${rounded}/5* (${values.length} responses)\n${dist.map((count, idx) => `${idx + 1}★: ${count}`).join(" · ")}`,
+          text: `*${q.label}*\nNPS: *${formatNps(summary.score)}* (${summary.count} responses)\n:green_heart: Promoters (9-10): ${pct(summary.promoters)}% (${summary.promoters}) · :yellow_heart: Passives (7-8): ${pct(summary.passives)}% (${summary.passives}) · :broken_heart: Detractors (0-6): ${pct(summary.detractors)}% (${summary.detractors})\n${summary.distribution.map((count, n) => `${n}: ${count}`).join(" · ")}`,
         },
       });
     } else if (q.type === "multi-select") {
-      const allSelections = responses.flatMap((r) => r[key] || []);
-      const counts = {};
-      allSelections.forEach((opt) => {
-        counts[opt] = (counts[opt] || 0) + 1;
+      blocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*${q.label}*\n${optionLines(survey, summary).join("\n")}`,
+        },
+      });
+    } else if (q.type === "single-choice") {
+      // Percentages are of people who answered, so they add up to 100%
+      const modes = summary.modes.filter(
+        (opt) => !optionSuppressed(survey, summary.counts[opt])
+      );
+      const mode = modes.length
+        ? `\nMost common: *${modes.join("*, *")}*`
+        : "";
+
+      blocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*${q.label}*${mode}\n${optionLines(survey, summary).join("\n")}`,
+        },
       });
-      const sorted = Object.entries(counts).sort((a, b) => b[1] - a[1]);
-      const total = responses.length;
-      const lines = sorted.map(([opt, count]) => {
-        const pct = Math.round((count / total) * 100);
-        const barLen = Math.round(pct / 10);
-        return `${opt}: ${"█".repeat(barLen)}${"░".repeat(10 - barLen)} ${pct}% (${count})`;
+    } else if (q.type === "ranking") {
+      const lines = summary.options.map(
+        (o, idx) =>
+          `${idx + 1}. ${o.option} - average rank ${o.averageRank == null ? "–" : o.averageRank.toFixed(1)}`
+      );
+
+      blocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*${q.label}* (${summary.count} responses)\n${lines.join("\n")}`,
+        },
       });
+    } else if (q.type === "matrix") {
+      const { max } = scaleRange(q);
+      const lines = summary.rows.map(
+        (row) =>
+          `${row.statement}: ${scaleBar(q, row.average)} *${row.average == null ? "–" : row.average.toFixed(1)}/${max}* (${row.count})`
+      );
 
       blocks.push({
         type: "section",
         text: {
           type: "mrkdwn",
-          text: `*${q.label}*\n${lines.join("\n")}`,
+          text: `*${q.label}*\n${lines.join("\n")}${scaleLegend(q)}`,
         },
       });
     } else if (q.type === "free-text") {
-      const texts = responses.map((r) => r[key]).filter(Boolean);
+      const texts = summary.texts;
       // Free-text: only show to admin, or if share_freetext is enabled
       const showFreeText =
         isAdmin || (!isShare && survey.settings?.shareFreetext);
 
-      if (showFreeText && texts.length > 0) {
-        const textList = texts.map((t) => `> _${t}_`).join("\n");
+      if (showFreeText && texts.length > FREE_TEXT_INLINE_MAX) {
+        blocks.push(...buildFreeTextSummary(survey, q, i, texts));
+      } else if (showFreeText && texts.length > 0) {
+        blocks.push(
+          ...quoteSections(`*${q.label}* (${texts.length} responses)`, texts)
+        );
+      } else if (survey.purgedAt) {
         blocks.push({
           type: "section",
           text: {
             type: "mrkdwn",
-            text: `*${q.label}* (${texts.length} responses)\n${textList}`,
+            text: `*${q.label}*\n_${summary.count} responses · Answers deleted under the data retention policy_`,
           },
         });
       } else if (isShare) {
@@ -327,27 +1243,321 @@ export function buildResultsBlocks(survey, responses, { isAdmin = false, isShare
       }
     }
 
+    if (q.condition) {
+      blocks.push({
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `Only asked if Q${q.condition.question + 1} = ${q.condition.value} · ${summary.notAsked} not asked`,
+          },
+        ],
+      });
+    }
+
+    blocks.push({ type: "divider" });
+  });
+
+  return blocks;
+}
+
+// ─── CSV Export ────────────────────────────────────────────────────────────────
+
+export function buildCsvExport(survey, responses) {
+  const columns = survey.questions.flatMap((q, i) => csvColumns(q, i));
+  const headers = columns.map((c) => csvCell(c.header));
+  const rows = responses.map((r) =>
+    columns.map((c) => {
+      // Skipped by skip logic, as opposed to left blank
+      if (r[`q_${c.index}`] === null) return "not asked";
+      const val = c.value(r);
+      if (Array.isArray(val)) return `"${val.join(", ")}"`;
+      if (typeof val === "string" && (val.includes(",") || val.includes('"')))
+        return `"${val.replace(/"/g, '""')}"`;
+      return val ?? "";
+    })
+  );
+
+  // NPS questions get a summary row under their column
+  if (survey.questions.some((q) => q.type === "nps")) {
+    rows.push(
+      columns.map((c) =>
+        c.question.type === "nps"
+          ? `NPS: ${formatNps(summarizeQuestion(c.question, c.index, responses).score)}`
+          : ""
+      )
+    );
+  }
+
+  return [headers.join(","), ...rows.map((r) => r.join(","))].join("\n");
+}
+
+// Most questions export as one column. Ranking questions get a rank column
+// per option and matrix questions a column per statement, so each cell holds
+// a single number that spreadsheets can average.
+function csvColumns(q, i) {
+  const key = `q_${i}`;
+
+  if (q.type === "ranking") {
+    return (q.options || []).map((opt) => ({
+      question: q,
+      index: i,
+      header: `${q.label} - ${opt} (rank)`,
+      value: (r) =>
+        Array.isArray(r[key]) && r[key].includes(opt)
+          ? r[key].indexOf(opt) + 1
+          : "",
+    }));
+  }
+
+  if (q.type === "matrix") {
+    return (q.rows || []).map((statement, row) => ({
+      question: q,
+      index: i,
+      header: `${q.label} - ${statement}`,
+      value: (r) => (Array.isArray(r[key]) ? r[key][row] : undefined),
+    }));
+  }
+
+  return [{ question: q, index: i, header: q.label, value: (r) => r[key] }];
+}
+
+// ─── Trend Comparison ─────────────────────────────────────────────────────────
+// Compares two or more surveys (oldest first) question by question, matching
+// questions by label. Used by /pulse compare and the "Trend" view of a
+// recurring series. `rounds` is an array of { survey, responses }.
+
+export function buildTrendBlocks(allRounds, { title } = {}) {
+  // Rounds under their anonymity threshold are left out entirely
+  const rounds = visibleRounds(allRounds);
+  const hiddenCount = allRounds.length - rounds.length;
+  const hiddenNote = hiddenCount
+    ? `\n_${hiddenCount} round${hiddenCount === 1 ? "" : "s"} hidden until enough responses are collected._`
+    : "";
+
+  if (rounds.length < 2) {
+    return [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `:chart_with_upwards_trend: *Trend: ${title || allRounds[allRounds.length - 1].survey.title}*\n:lock: _Not enough rounds have reached their minimum response count to compare yet._`,
+        },
+      },
+    ];
+  }
+
+  const first = rounds[0];
+  const last = rounds[rounds.length - 1];
+  const heading = title || `${first.survey.title} → ${last.survey.title}`;
+  const totals = rounds.map((r) => responseTotal(r.survey, r.responses));
+
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `:chart_with_upwards_trend: *Trend: ${heading}*\n${rounds.map((r, idx) => `${roundLabel(r.survey)}: ${totals[idx]} response${totals[idx] === 1 ? "" : "s"}`).join(" · ")}${hiddenNote}`,
+      },
+    },
+    { type: "divider" },
+  ];
+
+  for (const question of matchQuestionsByLabel(rounds)) {
+    const [from, to] = firstAndLast(question.summaries);
+    if (!from || from === to) {
+      blocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*${question.label}*\n_Not asked in an earlier round - nothing to compare._`,
+        },
+      });
+      blocks.push({ type: "divider" });
+      continue;
+    }
+
+    let text;
+    if (question.type === "scale") {
+      const averages = question.summaries
+        .map((s) => (s?.average == null ? "–" : s.average.toFixed(1)))
+        .join(" → ");
+      const dist = scalePoints(question.question)
+        .map((n) => {
+          const fromPct = pointPercent(from, n);
+          const toPct = pointPercent(to, n);
+          return `${scalePointText(question.question, n)} ${fromPct}% → ${toPct}% (${formatChange(toPct - fromPct)})`;
+        })
+        .join("\n");
+
+      // Averages on different ranges can't be compared directly
+      const sameRange = from.min === to.min && from.max === to.max;
+      const change =
+        sameRange && from.average != null && to.average != null
+          ? to.average - from.average
+          : NaN;
+      const rangeNote = sameRange ? "" : " _scale range changed_";
+      text = `*${question.label}*\nAverage: ${averages} (${formatChange(change, 1)})${rangeNote}\n${dist}`;
+    } else if (question.type === "nps") {
+      const scores = question.summaries
+        .map((s) => (s?.score == null ? "–" : formatNps(s.score)))
+        .join(" → ");
+      const change =
+        from.score != null && to.score != null ? to.score - from.score : NaN;
+      const groups = ["promoters", "passives", "detractors"].map((group) => {
+        const fromPct = percent(from[group], from.count);
+        const toPct = percent(to[group], to.count);
+        return `${group[0].toUpperCase()}${group.slice(1)}: ${fromPct}% → ${toPct}% (${formatChange(toPct - fromPct, 0, " pts")})`;
+      });
+      text = `*${question.label}*\nNPS: ${scores} (${formatChange(change)})\n${groups.join("\n")}`;
+    } else if (question.type === "ranking") {
+      const lines = (question.question.options || []).map((opt) => {
+        const ranks = question.summaries.map((s) => averageRankOf(s, opt));
+        const chain = ranks.map((r) => (r == null ? "–" : r.toFixed(1))).join(" → ");
+        const fromRank = ranks[question.summaries.indexOf(from)];
+        const toRank = ranks[question.summaries.indexOf(to)];
+        const change =
+          fromRank != null && toRank != null ? toRank - fromRank : NaN;
+        return `${opt}: ${chain} (${formatChange(change, 1)})`;
+      });
+      text = `*${question.label}* _(average rank, lower is better)_\n${lines.join("\n")}`;
+    } else if (question.type === "matrix") {
+      const lines = (question.question.rows || []).map((statement) => {
+        const averages = question.summaries.map((s) => rowAverageOf(s, statement));
+        const chain = averages.map((a) => (a == null ? "–" : a.toFixed(1))).join(" → ");
+        const fromAvg = averages[question.summaries.indexOf(from)];
+        const toAvg = averages[question.summaries.indexOf(to)];
+        const change = fromAvg != null && toAvg != null ? toAvg - fromAvg : NaN;
+        return `${statement}: ${chain} (${formatChange(change, 1)})`;
+      });
+      text = `*${question.label}*\n${lines.join("\n")}`;
+    } else if (question.type === "multi-select" || question.type === "single-choice") {
+      const options = [
+        ...new Set(question.summaries.flatMap((s) => Object.keys(s?.counts || {}))),
+      ];
+      const lines = options.map((opt) => {
+        const pcts = question.summaries.map((s, idx) =>
+          optionPercent(rounds[idx].survey, s, opt)
+        );
+        const chain = pcts.map((p) => (p == null ? "–" : `${p}%`)).join(" → ");
+        const fromPct = pcts[question.summaries.indexOf(from)];
+        const toPct = pcts[question.summaries.indexOf(to)];
+        const change =
+          fromPct != null && toPct != null ? toPct - fromPct : NaN;
+        return `${opt}: ${chain} (${formatChange(change, 0, " pts")})`;
+      });
+      text = `*${question.label}*\n${lines.join("\n")}`;
+    }
+
+    blocks.push({ type: "section", text: { type: "mrkdwn", text } });
     blocks.push({ type: "divider" });
+  }
+
+  blocks.push({
+    type: "actions",
+    block_id: "trend_actions",
+    elements: [
+      {
+        type: "button",
+        text: { type: "plain_text", text: "Export Trend CSV" },
+        action_id: "trend_export",
+        value: rounds.map((r) => r.survey.id).join(","),
+      },
+    ],
   });
 
   return blocks;
 }
 
-// ─── CSV Export ────────────────────────────────────────────────────────────────
+export function buildTrendCsvExport(allRounds) {
+  const rounds = visibleRounds(allRounds);
+  const headers = [
+    "Question",
+    "Metric",
+    ...rounds.map((r) => roundLabel(r.survey)),
+    "Change",
+  ];
+  const rows = [
+    ["Responses", "Count", ...rounds.map((r) => responseTotal(r.survey, r.responses)), ""],
+  ];
 
-export function buildCsvExport(survey, responses) {
-  const headers = survey.questions.map((q) => q.label);
-  const rows = responses.map((r) =>
-    survey.questions.map((q, i) => {
-      const val = r[`q_${i}`];
-      if (Array.isArray(val)) return `"${val.join(", ")}"`;
-      if (typeof val === "string" && (val.includes(",") || val.includes('"')))
-        return `"${val.replace(/"/g, '""')}"`;
-      return val || "";
-    })
-  );
+  const questions = rounds.length ? matchQuestionsByLabel(rounds) : [];
+  for (const question of questions) {
+    const [from, to] = firstAndLast(question.summaries);
+    const row = (metric, values) => {
+      const first = values.find((v) => v != null);
+      const last = values[values.length - 1];
+      const change =
+        from !== to && first != null && last != null
+          ? Math.round((last - first) * 10) / 10
+          : "";
+      rows.push([
+        question.label,
+        metric,
+        ...values.map((v) => (v == null ? "" : v)),
+        change,
+      ]);
+    };
 
-  return [headers.join(","), ...rows.map((r) => r.join(","))].join("\n");
+    if (question.type === "scale") {
+      row(
+        "Average",
+        question.summaries.map((s) =>
+          s?.average == null ? null : Math.round(s.average * 10) / 10
+        )
+      );
+      scalePoints(question.question).forEach((n) =>
+        row(
+          isStarScale(question.question) ? `${n} stars %` : `${scalePointText(question.question, n)} %`,
+          question.summaries.map((s) => (s ? pointPercent(s, n) : null))
+        )
+      );
+    } else if (question.type === "nps") {
+      row("NPS", question.summaries.map((s) => s?.score ?? null));
+      ["promoters", "passives", "detractors"].forEach((group) =>
+        row(
+          `${group[0].toUpperCase()}${group.slice(1)} %`,
+          question.summaries.map((s) => (s ? percent(s[group], s.count) : null))
+        )
+      );
+    } else if (question.type === "ranking") {
+      (question.question.options || []).forEach((opt) =>
+        row(
+          `${opt} average rank`,
+          question.summaries.map((s) => {
+            const rank = averageRankOf(s, opt);
+            return rank == null ? null : Math.round(rank * 10) / 10;
+          })
+        )
+      );
+    } else if (question.type === "matrix") {
+      (question.question.rows || []).forEach((statement) =>
+        row(
+          `${statement} average`,
+          question.summaries.map((s) => {
+            const avg = rowAverageOf(s, statement);
+            return avg == null ? null : Math.round(avg * 10) / 10;
+          })
+        )
+      );
+    } else if (question.type === "multi-select" || question.type === "single-choice") {
+      const options = [
+        ...new Set(question.summaries.flatMap((s) => Object.keys(s?.counts || {}))),
+      ];
+      options.forEach((opt) =>
+        row(
+          `${opt} %`,
+          question.summaries.map((s, idx) =>
+            optionPercent(rounds[idx].survey, s, opt)
+          )
+        )
+      );
+    }
+  }
+
+  return [headers, ...rows]
+    .map((r) => r.map(csvCell).join(","))
+    .join("\n");
 }
 
 // ─── Survey List (My Surveys) ─────────────────────────────────────────────────
@@ -384,12 +1594,24 @@ export function buildListBlocks(surveys) {
       month: "short",
       day: "numeric",
     });
+    const deadline =
+      survey.status === "open" && survey.closesAt
+        ? ` - Closes ${formatSlackDate(survey.closesAt)}`
+        : "";
+    const repeats = survey.recurrence
+      ? `\n:repeat: Repeats ${recurrenceLabel(survey.recurrence).toLowerCase()} · Round ${survey.round}`
+      : "";
+    const purge = survey.purgedAt
+      ? "\n:wastebasket: Responses deleted - aggregate results only"
+      : purgeDueAt(survey)
+        ? `\n:wastebasket: Responses will be deleted ${formatSlackDate(purgeDueAt(survey).toISOString())}`
+        : "";
 
     blocks.push({
       type: "section",
       text: {
         type: "mrkdwn",
-        text: `*${survey.title}*\n${statusEmoji} ${statusText} - ${survey.responseCount || 0} response${survey.responseCount === 1 ? "" : "s"} - Created ${created}`,
+        text: `*${survey.title}*\n${statusEmoji} ${statusText} - ${survey.responseCount || 0} response${survey.responseCount === 1 ? "" : "s"} - Created ${created}${deadline}${repeats}${purge}`,
       },
     });
 
@@ -409,6 +1631,12 @@ export function buildListBlocks(surveys) {
     ];
 
     if (survey.status === "open") {
+      buttons.push({
+        type: "button",
+        text: { type: "plain_text", text: "Edit" },
+        action_id: "list_edit",
+        value: survey.id,
+      });
       buttons.push({
         type: "button",
         text: { type: "plain_text", text: "Close Survey" },
@@ -418,6 +1646,42 @@ export function buildListBlocks(surveys) {
       });
     }
 
+    buttons.push({
+      type: "button",
+      text: { type: "plain_text", text: "Delete" },
+      action_id: "list_delete",
+      value: survey.id,
+      style: "danger",
+      confirm: {
+        title: { type: "plain_text", text: "Delete survey?" },
+        text: {
+          type: "mrkdwn",
+          text: `This permanently removes *${survey.title}* and all of its responses. This can't be undone.`,
+        },
+        confirm: { type: "plain_text", text: "Delete" },
+        deny: { type: "plain_text", text: "Cancel" },
+        style: "danger",
+      },
+    });
+
+    if (survey.seriesId && survey.round > 1) {
+      buttons.push({
+        type: "button",
+        text: { type: "plain_text", text: "Trend" },
+        action_id: "list_trend",
+        value: survey.id,
+      });
+    }
+
+    if (survey.status === "open" && survey.recurrence) {
+      buttons.push({
+        type: "button",
+        text: { type: "plain_text", text: "Stop Repeating" },
+        action_id: "list_stop_series",
+        value: survey.id,
+      });
+    }
+
     blocks.push({
       type: "actions",
       block_id: `list_actions_${survey.id}`,
@@ -430,9 +1694,360 @@ export function buildListBlocks(surveys) {
   return blocks;
 }
 
+// ─── Admin Survey List ────────────────────────────────────────────────────────
+// Workspace-wide overview for admins (/pulse admin list). Open surveys come
+// first; the list is capped to stay under Slack's 50-block message limit.
+
+const ADMIN_LIST_LIMIT = 40;
+
+export function buildAdminListBlocks(surveys) {
+  const sorted = [...surveys].sort((a, b) => {
+    if (a.status !== b.status) return a.status === "open" ? -1 : 1;
+    return new Date(b.createdAt) - new Date(a.createdAt);
+  });
+  const shown = sorted.slice(0, ADMIN_LIST_LIMIT);
+  const openCount = surveys.filter((s) => s.status === "open").length;
+
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `:shield: *All Surveys* (${surveys.length} total, ${openCount} open)`,
+      },
+    },
+    { type: "divider" },
+  ];
+
+  for (const survey of shown) {
+    const statusEmoji =
+      survey.status === "open" ? ":large_green_circle:" : ":red_circle:";
+    const owners = getOwners(survey).map((id) => `<@${id}>`).join(", ");
+    const created = new Date(survey.createdAt).toLocaleDateString("en-US", {
+      month: "short",
+      day: "numeric",
+    });
+
+    const block = {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `${statusEmoji} *${survey.title}* \`${survey.id}\`\nOwners: ${owners} · ${survey.responseCount || 0} responses · ${survey.channelId ? `<#${survey.channelId}> · ` : ""}Created ${created}`,
+      },
+    };
+
+    if (survey.status === "open") {
+      block.accessory = {
+        type: "button",
+        text: { type: "plain_text", text: "Force Close" },
+        action_id: "admin_close",
+        value: survey.id,
+        style: "danger",
+        confirm: {
+          title: { type: "plain_text", text: "Close this survey?" },
+          text: {
+            type: "plain_text",
+            text: `"${survey.title}" will stop accepting responses and its owners will be notified.`,
+          },
+          confirm: { type: "plain_text", text: "Close" },
+          deny: { type: "plain_text", text: "Cancel" },
+        },
+      };
+    }
+
+    blocks.push(block);
+  }
+
+  if (sorted.length > shown.length) {
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `_${sorted.length - shown.length} older closed surveys not shown._`,
+        },
+      ],
+    });
+  }
+
+  return blocks;
+}
+
+// ─── Reminder DM ──────────────────────────────────────────────────────────────
+// Sent to channel members who haven't responded yet (/pulse remind, or
+// automatically before the deadline).
+
+export function buildReminderMessage(survey) {
+  const deadline = survey.closesAt
+    ? ` It closes ${formatSlackDate(survey.closesAt)}.`
+    : "";
+
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `:wave: *Reminder:* the pulse survey *${survey.title}* in <#${survey.channelId}> is still open.${deadline}\n:lock: Responses are completely anonymous - nobody can see whether you've responded, including the survey owners.`,
+      },
+    },
+    {
+      type: "actions",
+      block_id: `reminder_actions_${survey.id}`,
+      elements: [
+        {
+          type: "button",
+          text: { type: "plain_text", text: "Take Survey" },
+          action_id: "take_survey",
+          value: survey.id,
+          style: "primary",
+        },
+      ],
+    },
+  ];
+}
+
+// ─── Retention Warning ────────────────────────────────────────────────────────
+// DM sent to each owner a week before a survey's responses are purged under
+// the retention policy.
+
+export function buildRetentionWarning(survey, purgeAt) {
+  const count = survey.responseCount || 0;
+
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `:wastebasket: The ${count} response${count === 1 ? "" : "s"} to *${survey.title}* will be deleted ${formatSlackDate(purgeAt.toISOString())} under the data retention policy.\nAggregate results stay available afterwards. Export the CSV now if you need individual responses.`,
+      },
+    },
+    {
+      type: "actions",
+      block_id: `retention_actions_${survey.id}`,
+      elements: [
+        {
+          type: "button",
+          text: { type: "plain_text", text: "Export CSV" },
+          action_id: "list_export",
+          value: survey.id,
+          style: "primary",
+        },
+      ],
+    },
+  ];
+}
+
+// ─── Auto-Close Notice ────────────────────────────────────────────────────────
+// DM sent to the creator when the scheduled sweep closes a survey at its
+// deadline.
+
+export function buildAutoCloseNotice(survey) {
+  const count = survey.responseCount || 0;
+
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `:checkered_flag: *${survey.title}* reached its deadline and is now closed.\n${count} total response${count === 1 ? "" : "s"}.`,
+      },
+    },
+    {
+      type: "actions",
+      block_id: `auto_close_actions_${survey.id}`,
+      elements: [
+        {
+          type: "button",
+          text: { type: "plain_text", text: "View Results" },
+          action_id: "list_results",
+          value: survey.id,
+          style: "primary",
+        },
+        {
+          type: "button",
+          text: { type: "plain_text", text: "Export CSV" },
+          action_id: "list_export",
+          value: survey.id,
+        },
+      ],
+    },
+  ];
+}
+
+// ─── New Round Notice ─────────────────────────────────────────────────────────
+// DM sent to the creator when a recurring series launches its next round.
+
+export function buildNewRoundNotice(survey, previous) {
+  const previousCount = previous?.responseCount || 0;
+  const previousText = previous
+    ? `\nRound ${previous.round} is now closed with ${previousCount} response${previousCount === 1 ? "" : "s"}.`
+    : "";
+
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `:repeat: Round ${survey.round} of *${survey.title}* has been posted to <#${survey.channelId}>.${previousText}`,
+      },
+    },
+    ...(previous
+      ? [
+          {
+            type: "actions",
+            block_id: `new_round_actions_${survey.id}`,
+            elements: [
+              {
+                type: "button",
+                text: { type: "plain_text", text: `Round ${previous.round} Results` },
+                action_id: "list_results",
+                value: previous.id,
+              },
+              {
+                type: "button",
+                text: { type: "plain_text", text: "Stop Repeating" },
+                action_id: "list_stop_series",
+                value: survey.id,
+              },
+            ],
+          },
+        ]
+      : []),
+  ];
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function roundLabel(survey) {
+  const created = new Date(survey.createdAt).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+  });
+  return survey.round
+    ? `Round ${survey.round} (${created})`
+    : `${survey.title} (${created})`;
+}
+
+// One bar cell per scale point, filled up to the rounded average
+function scaleBar(q, average) {
+  const { min, max } = scaleRange(q);
+  const filled = Math.max(0, Math.round(average) - min + 1);
+  return "█".repeat(filled) + "░".repeat(max - min + 1 - filled);
+}
+
+// Option bars for multi-select and single-choice, most picked first
+function optionLines(survey, summary) {
+  return Object.entries(summary.counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([opt, count]) => {
+      if (optionSuppressed(survey, count))
+        return `${opt}: _fewer than ${MIN_OPTION_COUNT} responses_`;
+      const pct = percent(count, summary.respondents);
+      const barLen = Math.round(pct / 10);
+      return `${opt}: ${"█".repeat(barLen)}${"░".repeat(10 - barLen)} ${pct}% (${count})`;
+    });
+}
+
+function scaleOptionText(q, n) {
+  if (isStarScale(q)) return `${"★".repeat(n)}${"☆".repeat(5 - n)} (${n})`;
+  const label = q.labels?.[n];
+  return label ? `${n} - ${label}` : String(n);
+}
+
+function scalePointText(q, n) {
+  return isStarScale(q) ? `${n}★` : String(n);
+}
+
+// "1 = Strongly disagree · 7 = Strongly agree" under custom-labelled scales
+function scaleLegend(q) {
+  const entries = Object.entries(q.labels || {});
+  if (entries.length === 0) return "";
+  return `\n_${entries
+    .sort((a, b) => a[0] - b[0])
+    .map(([n, label]) => `${n} = ${label}`)
+    .join(" · ")}_`;
+}
+
+// Share of a scale summary's answers that picked `n`
+function pointPercent(summary, n) {
+  return percent(summary.distribution[n - summary.min] || 0, summary.count);
+}
+
+function formatNps(score) {
+  if (score == null) return "–";
+  return score > 0 ? `+${score}` : String(score);
+}
+
+function formatChange(delta, digits = 0, unit = "") {
+  if (!Number.isFinite(delta)) return "–";
+  const rounded = Number(delta.toFixed(digits));
+  if (rounded > 0) return `▲ +${rounded.toFixed(digits)}${unit}`;
+  if (rounded < 0) return `▼ ${rounded.toFixed(digits)}${unit}`;
+  return "no change";
+}
+
+function visibleRounds(rounds) {
+  return rounds.filter(
+    (r) => !resultsHidden(r.survey, responseTotal(r.survey, r.responses))
+  );
+}
+
+// Percentage of respondents who picked an option, or null if the round
+// didn't ask the question or too few people picked it to show safely
+function optionPercent(survey, summary, opt) {
+  if (!summary) return null;
+  const count = summary.counts[opt] || 0;
+  if (optionSuppressed(survey, count)) return null;
+  return percent(count, summary.respondents);
+}
+
+function averageRankOf(summary, opt) {
+  return summary?.options.find((o) => o.option === opt)?.averageRank ?? null;
+}
+
+function rowAverageOf(summary, statement) {
+  return summary?.rows.find((r) => r.statement === statement)?.average ?? null;
+}
+
+// The first and last rounds that actually asked a question
+function firstAndLast(summaries) {
+  const asked = summaries.filter(Boolean);
+  return [asked[0], asked[asked.length - 1]];
+}
+
+function csvCell(val) {
+  if (typeof val === "string" && (val.includes(",") || val.includes('"')))
+    return `"${val.replace(/"/g, '""')}"`;
+  return val ?? "";
+}
+
+function oneLine(text) {
+  return text.replace(/\s*\n\s*/g, " ");
+}
+
+// Also used for chart labels in charts.js
+export function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+// Slack renders <!date^...> in each reader's own timezone; the trailing text is
+// the fallback for clients that can't.
+function formatSlackDate(iso) {
+  const ts = Math.floor(new Date(iso).getTime() / 1000);
+  const fallback = new Date(iso).toUTCString();
+  return `<!date^${ts}^{date_short_pretty} at {time}|${fallback}>`;
+}
+
 // ─── Help Message ─────────────────────────────────────────────────────────────
 
-export function buildHelpBlocks(docsUrl) {
+/**
+ * `keyedHashes` is false while PULSE_HASH_SECRET is unset, when respondent
+ * hashes fall back to the unkeyed format and the privacy note says so.
+ */
+export function buildHelpBlocks(docsUrl, { keyedHashes = true } = {}) {
+  const hashNote = keyedHashes
+    ? "only a one-way hash, keyed with a secret only the server knows,"
+    : "only a one-way hash";
   return [
     {
       type: "section",
@@ -446,7 +2061,7 @@ export function buildHelpBlocks(docsUrl) {
       type: "section",
       text: {
         type: "mrkdwn",
-        text: `*Getting Started*\nPulse Survey Bot lets you run anonymous surveys right in Slack. Perfect for ERG feedback, team pulse checks, and more.\n\n:lock: *Privacy First:* All responses are completely anonymous. We never store who responded - only a one-way hash to prevent duplicate submissions.`,
+        text: `*Getting Started*\nPulse Survey Bot lets you run anonymous surveys right in Slack. Perfect for ERG feedback, team pulse checks, and more.\n\n:lock: *Privacy First:* All responses are completely anonymous. We never store who responded - ${hashNote} to prevent duplicate submissions. Results stay hidden until a minimum number of people have responded, and privacy mode updates counts in batches so nobody can match a response to when someone submitted it.`,
       },
     },
     {
@@ -457,6 +2072,15 @@ export function buildHelpBlocks(docsUrl) {
           "*Commands*\n" +
           "• `/pulse create` - Create a new survey\n" +
           "• `/pulse list` - View and manage your surveys\n" +
+          "• `/pulse edit <id>` - Fix the title or questions of an open survey\n" +
+          "• `/pulse delete <id>` - Delete a survey and all of its responses\n" +
+          "• `/pulse compare <id-a> <id-b>` - Compare two surveys question by question\n" +
+          "• `/pulse trend <id>` - See how a recurring survey has moved over time\n" +
+          "• `/pulse owners add|remove <id> @user` - Share a survey with co-owners\n" +
+          "• `/pulse remind <id>` - Nudge channel members who haven't responded yet\n" +
+          "• `/pulse stop <id>` - Stop a recurring survey from repeating\n" +
+          "• `/pulse template save <id> <name>` - Save a survey's questions as a reusable template\n" +
+          "• `/pulse template list|share|unshare|delete` - Manage templates\n" +
           "• `/pulse help` - Show this help message",
       },
     },
@@ -467,7 +2091,7 @@ export function buildHelpBlocks(docsUrl) {
         text:
           "*Quick Start*\n" +
           "1️⃣ Type `/pulse create` in any channel\n" +
-          "2️⃣ Fill in your survey title and questions\n" +
+          "2️⃣ Fill in your survey title and add questions with the builder (or switch to *Edit as text*)\n" +
           "3️⃣ The bot posts a survey card with a *Take Survey* button\n" +
           "4️⃣ Team members click the button and respond anonymously\n" +
           "5️⃣ Use `/pulse list` to view results and manage your surveys",
@@ -480,8 +2104,15 @@ export function buildHelpBlocks(docsUrl) {
         text:
           "*Question Types*\n" +
           "• *Rating scale (default)* - 1-5 star rating\n" +
+          "• *(scale 1-7: Disagree..Agree)* - Custom range with labelled endpoints\n" +
           "• *(multi-select)* - Multiple choice, select all that apply\n" +
-          "• *(free-text)* - Open-ended text response (admin-only by default)",
+          "• *(single-choice)* - Pick exactly one option\n" +
+          "• *(ranking)* - Put the options in order of preference\n" +
+          "• *(matrix)* - Rate several statements on the same scale\n" +
+          "• *(nps)* - 0-10 \"how likely are you to recommend\" with a Net Promoter Score\n" +
+          "• *(free-text)* - Open-ended text response (admin-only by default)\n\n" +
+          "Add *(if Q2 = Yes)* to any question to only ask it when question 2 was answered \"Yes\". " +
+          "Put a `---` line between questions to split the survey into pages.",
       },
     },
     ...(docsUrl
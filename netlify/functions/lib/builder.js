@@ -0,0 +1,149 @@
+import crypto from "crypto";
+import { validateQuestions } from "./parse-questions.js";
+
+/**
+ * Question builder for the creation modal.
+ *
+ * Builder mode shows one set of inputs per question (label, type, options)
+ * instead of the text syntax. Each question gets a stable key so its inputs
+ * keep their block IDs - and Slack keeps what was typed in them - when others
+ * are added or removed.
+ *
+ * The modal's `private_metadata` carries one entry per question holding its
+ * key plus anything the builder has no input for: a custom scale range, a
+ * skip-logic condition (pointing at another question's key, so it survives
+ * reordering) and page breaks. Those can still be edited in text mode.
+ */
+
+export const BUILDER_TYPES = [
+  { value: "scale", label: "Rating scale" },
+  { value: "single-choice", label: "Single choice" },
+  { value: "multi-select", label: "Multi-select" },
+  { value: "ranking", label: "Ranking" },
+  { value: "matrix", label: "Matrix (rate statements)" },
+  { value: "nps", label: "NPS (0-10)" },
+  { value: "free-text", label: "Free text" },
+];
+
+// Types that need the options input filled in (statements, for a matrix)
+export const OPTION_TYPES = ["single-choice", "multi-select", "ranking", "matrix"];
+
+// Each question takes four blocks, and a modal holds at most 100
+export const MAX_BUILDER_QUESTIONS = 15;
+
+export function newBuilderEntry() {
+  return { key: crypto.randomUUID().slice(0, 8), label: "", type: "scale", options: [] };
+}
+
+/**
+ * Turns parsed questions (from a template or the text syntax) into builder
+ * entries.
+ */
+export function builderEntriesFromQuestions(questions) {
+  const keys = questions.map(() => newBuilderEntry().key);
+
+  return questions.map((q, i) => ({
+    key: keys[i],
+    label: q.label,
+    type: q.type,
+    options: (q.type === "matrix" ? q.rows : q.options) || [],
+    ...(q.min != null && { min: q.min, max: q.max, labels: q.labels }),
+    ...(q.condition && {
+      condition: { key: keys[q.condition.question], value: q.condition.value },
+    }),
+    ...(q.pageBreak && { pageBreak: true }),
+  }));
+}
+
+/**
+ * Reads the builder entries back out of submitted view state. `entries` is
+ * the list from `private_metadata`; labels, types and options come from the
+ * inputs.
+ */
+export function readBuilderEntries(values, entries) {
+  return entries.map((entry) => {
+    const prefix = `bq_${entry.key}`;
+    const rawOptions = values[`${prefix}_options`]?.options_input?.value || "";
+    return {
+      ...entry,
+      label: (values[`${prefix}_label`]?.label_input?.value || "").trim(),
+      type:
+        values[`${prefix}_type`]?.type_input?.selected_option?.value ||
+        entry.type,
+      options: rawOptions
+        .split(",")
+        .map((o) => o.trim())
+        .filter(Boolean),
+    };
+  });
+}
+
+// What goes back into `private_metadata`: everything but the typed inputs
+export function builderMetadata(entries) {
+  return entries.map(({ label, type, options, ...rest }) => rest);
+}
+
+/**
+ * Field errors for builder entries, keyed by block ID.
+ */
+export function builderErrors(entries) {
+  const errors = {};
+  validateQuestions(questionsFromBuilder(entries)).forEach(
+    ({ question, field, message }) => {
+      const input = field === "options" ? "options" : "label";
+      const blockId = `bq_${entries[question].key}_${input}`;
+      errors[blockId] = errors[blockId] ? `${errors[blockId]} ${message}` : message;
+    }
+  );
+  return errors;
+}
+
+/**
+ * Builds survey questions from builder entries - the same shape
+ * parseQuestions returns for the text syntax.
+ */
+export function questionsFromBuilder(entries) {
+  const keys = entries.map((e) => e.key);
+
+  return entries.map((entry, i) => {
+    const question = { label: entry.label, type: entry.type };
+
+    if (entry.type === "matrix") question.rows = entry.options;
+    else if (OPTION_TYPES.includes(entry.type)) question.options = entry.options;
+
+    // A custom range only applies while the question is still a scale
+    if ((entry.type === "scale" || entry.type === "matrix") && entry.min != null) {
+      question.min = entry.min;
+      question.max = entry.max;
+      question.labels = entry.labels || {};
+    }
+
+    // Drop conditions on questions that were removed or now come later
+    const dependsOn = entry.condition ? keys.indexOf(entry.condition.key) : -1;
+    if (dependsOn !== -1 && dependsOn < i) {
+      question.condition = { question: dependsOn, value: entry.condition.value };
+    }
+
+    if (entry.pageBreak && i > 0) question.pageBreak = true;
+    return question;
+  });
+}
+
+/**
+ * A short note on what a question does that the builder can't show, e.g.
+ * "Scale 1-7 · Only asked if Q2 = Yes".
+ */
+export function builderEntryNote(entry, entries) {
+  const notes = [];
+  if ((entry.type === "scale" || entry.type === "matrix") && entry.min != null) {
+    notes.push(`Scale ${entry.min}-${entry.max}`);
+  }
+  if (entry.condition) {
+    const dependsOn = entries.findIndex((e) => e.key === entry.condition.key);
+    if (dependsOn !== -1) {
+      notes.push(`Only asked if Q${dependsOn + 1} = ${entry.condition.value}`);
+    }
+  }
+  if (entry.pageBreak) notes.push("Starts a new page");
+  return notes.join(" · ");
+}
@@ -0,0 +1,334 @@
+import {
+  surveyQuestionSummary,
+  responseTotal,
+  percent,
+  scalePoints,
+  isStarScale,
+} from "./stats.js";
+import { resultsHidden, optionSuppressed, MIN_OPTION_COUNT } from "./privacy.js";
+import { truncate } from "./blocks.js";
+
+/**
+ * Result charts as SVG images.
+ *
+ * Scale, matrix and NPS questions get a stacked bar showing how answers
+ * spread across the range; multi-select and single-choice questions get one
+ * horizontal bar per option. The SVGs are plain strings with no external
+ * fonts or scripts, so they open in browsers and drop into slide decks. The
+ * same privacy rules as the Slack results apply: nothing is drawn while
+ * results are hidden, and rarely picked options are shown without a bar.
+ */
+
+const WIDTH = 720;
+const LABEL_WIDTH = 220;
+const BAR_X = LABEL_WIDTH + 20;
+const BAR_WIDTH = WIDTH - BAR_X - 70;
+const ROW_HEIGHT = 34;
+const FONT = "Helvetica, Arial, sans-serif";
+
+// Brand green (see public/icon.svg) for option bars
+const BAR_COLOR = "#294033";
+const TEXT_COLOR = "#1C2E24";
+const MUTED_COLOR = "#6B7A70";
+
+// Scales run from red through neutral sand to green
+const SCALE_LOW = [192, 57, 43];
+const SCALE_MID = [232, 227, 211];
+const SCALE_HIGH = [46, 125, 79];
+
+/**
+ * One chart per question that has one, as `{ question, filename, title, svg }`.
+ * Empty while results are hidden.
+ */
+export function buildResultCharts(survey, responses) {
+  const total = responseTotal(survey, responses);
+  if (total === 0 || resultsHidden(survey, total)) return [];
+
+  return survey.questions.flatMap((q, i) => {
+    const summary = surveyQuestionSummary(survey, i, responses);
+    const svg = buildQuestionChart(survey, q, i, summary);
+    if (!svg) return [];
+    return [
+      {
+        question: i,
+        filename: `pulse-survey-${survey.id}-q${i + 1}.svg`,
+        title: `Q${i + 1}: ${q.label}`,
+        svg,
+      },
+    ];
+  });
+}
+
+function buildQuestionChart(survey, q, i, summary) {
+  const title = `Q${i + 1}. ${q.label}`;
+
+  if (q.type === "scale") {
+    const rounded =
+      summary.average == null ? "–" : Math.round(summary.average * 10) / 10;
+    return stackedChart({
+      title,
+      subtitle: `Average ${rounded}/${summary.max} · ${summary.count} responses`,
+      rows: [{ label: "All responses", counts: summary.distribution }],
+      legend: scaleLegend(q),
+    });
+  }
+
+  if (q.type === "matrix") {
+    return stackedChart({
+      title,
+      subtitle: `${summary.rows[0]?.count ?? 0} responses`,
+      rows: summary.rows.map((r) => ({ label: r.statement, counts: r.distribution })),
+      legend: scaleLegend(q),
+    });
+  }
+
+  if (q.type === "nps") {
+    const score =
+      summary.score == null ? "–" : summary.score > 0 ? `+${summary.score}` : summary.score;
+    return stackedChart({
+      title,
+      subtitle: `NPS ${score} · ${summary.count} responses`,
+      rows: [
+        {
+          label: "All responses",
+          counts: [summary.detractors, summary.passives, summary.promoters],
+        },
+      ],
+      legend: [
+        { label: "Detractors (0-6)", color: rgb(SCALE_LOW) },
+        { label: "Passives (7-8)", color: rgb(SCALE_MID) },
+        { label: "Promoters (9-10)", color: rgb(SCALE_HIGH) },
+      ],
+    });
+  }
+
+  if (q.type === "multi-select" || q.type === "single-choice") {
+    const options = [...new Set([...(q.options || []), ...Object.keys(summary.counts)])];
+    return optionChart({
+      title,
+      subtitle: `${summary.respondents} responses${q.type === "multi-select" ? " · people could pick more than one" : ""}`,
+      bars: options
+        .map((opt) => ({ label: opt, count: summary.counts[opt] || 0 }))
+        .sort((a, b) => b.count - a.count)
+        .map(({ label, count }) =>
+          optionSuppressed(survey, count)
+            ? { label, pct: 0, text: `fewer than ${MIN_OPTION_COUNT}` }
+            : {
+                label,
+                pct: percent(count, summary.respondents),
+                text: `${percent(count, summary.respondents)}% (${count})`,
+              }
+        ),
+    });
+  }
+
+  return null;
+}
+
+// ─── Chart Types ──────────────────────────────────────────────────────────────
+
+// One stacked bar per row, each segment a share of that row's answers
+function stackedChart({ title, subtitle, rows, legend }) {
+  const top = 76;
+  const legendY = top + rows.length * ROW_HEIGHT + 18;
+  const legendRows = Math.ceil(legend.length / 4);
+  const height = legendY + legendRows * 22 + 12;
+
+  const bars = rows.map((row, r) => {
+    const y = top + r * ROW_HEIGHT;
+    const total = row.counts.reduce((a, b) => a + b, 0);
+    let x = BAR_X;
+    const segments = row.counts.map((count, s) => {
+      const width = total ? (count / total) * BAR_WIDTH : 0;
+      const segment = width > 0
+        ? `<rect x="${x.toFixed(1)}" y="${y}" width="${width.toFixed(1)}" height="${ROW_HEIGHT - 10}" fill="${legend[s].color}"/>` +
+          (width >= 28
+            ? `<text x="${(x + width / 2).toFixed(1)}" y="${y + 17}" text-anchor="middle" font-size="12" fill="${textOn(legend[s].color)}">${percent(count, total)}%</text>`
+            : "")
+        : "";
+      x += width;
+      return segment;
+    });
+    return (
+      `<text x="${LABEL_WIDTH}" y="${y + 17}" text-anchor="end" font-size="13" fill="${TEXT_COLOR}">${escapeXml(truncate(row.label, 34))}</text>` +
+      (total
+        ? segments.join("")
+        : `<text x="${BAR_X}" y="${y + 17}" font-size="12" fill="${MUTED_COLOR}">No answers</text>`)
+    );
+  });
+
+  const keys = legend.map((entry, n) => {
+    const x = BAR_X + (n % 4) * (BAR_WIDTH / 4);
+    const y = legendY + Math.floor(n / 4) * 22;
+    return (
+      `<rect x="${x.toFixed(1)}" y="${y}" width="12" height="12" fill="${entry.color}"/>` +
+      `<text x="${(x + 18).toFixed(1)}" y="${y + 11}" font-size="12" fill="${TEXT_COLOR}">${escapeXml(truncate(entry.label, 22))}</text>`
+    );
+  });
+
+  return svgDocument(height, title, subtitle, [...bars, ...keys]);
+}
+
+// One horizontal bar per option, as a share of respondents
+function optionChart({ title, subtitle, bars }) {
+  const top = 76;
+  const height = top + bars.length * ROW_HEIGHT + 12;
+
+  const rows = bars.map((bar, r) => {
+    const y = top + r * ROW_HEIGHT;
+    const width = (bar.pct / 100) * BAR_WIDTH;
+    return (
+      `<text x="${LABEL_WIDTH}" y="${y + 17}" text-anchor="end" font-size="13" fill="${TEXT_COLOR}">${escapeXml(truncate(bar.label, 34))}</text>` +
+      `<rect x="${BAR_X}" y="${y}" width="${BAR_WIDTH}" height="${ROW_HEIGHT - 10}" fill="#EEF1EF"/>` +
+      (width > 0
+        ? `<rect x="${BAR_X}" y="${y}" width="${width.toFixed(1)}" height="${ROW_HEIGHT - 10}" fill="${BAR_COLOR}"/>`
+        : "") +
+      `<text x="${BAR_X + BAR_WIDTH + 8}" y="${y + 17}" font-size="12" fill="${bar.pct ? TEXT_COLOR : MUTED_COLOR}">${escapeXml(bar.text)}</text>`
+    );
+  });
+
+  return svgDocument(height, title, subtitle, rows);
+}
+
+function svgDocument(height, title, subtitle, body) {
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${height}" viewBox="0 0 ${WIDTH} ${height}" font-family="${FONT}">`,
+    `<rect width="${WIDTH}" height="${height}" fill="#FFFFFF"/>`,
+    `<text x="20" y="32" font-size="17" font-weight="bold" fill="${TEXT_COLOR}">${escapeXml(truncate(title, 70))}</text>`,
+    `<text x="20" y="54" font-size="13" fill="${MUTED_COLOR}">${escapeXml(subtitle)}</text>`,
+    ...body,
+    "</svg>",
+  ].join("\n");
+}
+
+// ─── Report ───────────────────────────────────────────────────────────────────
+
+/**
+ * A single HTML file with every chart inline, for downloading and sharing
+ * outside Slack. Free-text answers are never included - only how many there
+ * were.
+ */
+export function buildHtmlReport(survey, responses) {
+  const total = responseTotal(survey, responses);
+  const charts = buildResultCharts(survey, responses);
+  const generated = new Date().toISOString().slice(0, 10);
+
+  const sections = survey.questions.map((q, i) => {
+    const chart = charts.find((c) => c.question === i);
+    if (chart) return `<section>${chart.svg}</section>`;
+
+    const summary = surveyQuestionSummary(survey, i, responses);
+    let body = "";
+    if (q.type === "ranking") {
+      body = `<ol>${summary.options
+        .map(
+          (o) =>
+            `<li>${escapeXml(o.option)}${o.averageRank == null ? "" : ` <span>average rank ${o.averageRank.toFixed(1)}</span>`}</li>`
+        )
+        .join("")}</ol>`;
+    } else if (q.type === "free-text") {
+      body = `<p><span>${summary.count} written answers - not included in this report.</span></p>`;
+    }
+    return `<section><h2>Q${i + 1}. ${escapeXml(q.label)}</h2>${body}</section>`;
+  });
+
+  const hidden = total === 0 || resultsHidden(survey, total);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(survey.title)} - Pulse results</title>
+<style>
+  body { font-family: ${FONT}; color: ${TEXT_COLOR}; max-width: ${WIDTH + 40}px; margin: 40px auto; padding: 0 20px; }
+  h1 { margin-bottom: 4px; }
+  h2 { font-size: 17px; margin: 0 0 8px; }
+  section { margin: 28px 0; }
+  span, .meta { color: ${MUTED_COLOR}; }
+  svg { max-width: 100%; height: auto; }
+</style>
+</head>
+<body>
+<h1>${escapeXml(survey.title)}</h1>
+<p class="meta">${total} response${total === 1 ? "" : "s"} · Status: ${escapeXml(survey.status)} · Generated ${generated}</p>
+${hidden ? "<p>Results are hidden until enough people have responded.</p>" : sections.join("\n")}
+</body>
+</html>
+`;
+}
+
+// ─── Upload ───────────────────────────────────────────────────────────────────
+
+/**
+ * Uploads a survey's charts - plus the HTML report when `report` is set - in
+ * one message. `channel` may be a user ID, in which case the files go to
+ * their DM. Does nothing while results are hidden.
+ */
+export async function uploadResultCharts(slack, channel, survey, responses, { report = false } = {}) {
+  const files = buildResultCharts(survey, responses).map((c) => ({
+    content: c.svg,
+    filename: c.filename,
+    title: c.title,
+  }));
+  if (files.length === 0) return;
+
+  if (report) {
+    files.push({
+      content: buildHtmlReport(survey, responses),
+      filename: `pulse-survey-${survey.id}-report.html`,
+      title: `${survey.title} - Report`,
+    });
+  }
+
+  // Files can't be shared to a user ID directly - open the DM first
+  const channelId = /^[UW]/.test(channel)
+    ? (await slack.conversations.open({ users: channel })).channel.id
+    : channel;
+
+  await slack.filesUploadV2({
+    channel_id: channelId,
+    initial_comment: report
+      ? `:bar_chart: Charts for *${survey.title}*, plus a report with all of them to download`
+      : `:bar_chart: Charts for *${survey.title}*`,
+    file_uploads: files,
+  });
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function scaleLegend(q) {
+  const points = scalePoints(q);
+  return points.map((n, idx) => ({
+    label: isStarScale(q)
+      ? `${n}★`
+      : q.labels?.[n]
+        ? `${n} - ${q.labels[n]}`
+        : String(n),
+    color: scaleColor(points.length === 1 ? 1 : idx / (points.length - 1)),
+  }));
+}
+
+// 0 = low end of the scale, 1 = high end
+function scaleColor(t) {
+  const [from, to, local] =
+    t < 0.5 ? [SCALE_LOW, SCALE_MID, t * 2] : [SCALE_MID, SCALE_HIGH, (t - 0.5) * 2];
+  return rgb(from.map((c, k) => Math.round(c + (to[k] - c) * local)));
+}
+
+function rgb([r, g, b]) {
+  return `#${[r, g, b].map((c) => c.toString(16).padStart(2, "0")).join("")}`;
+}
+
+// White labels on dark segments, dark on light ones
+function textOn(hex) {
+  const [r, g, b] = [1, 3, 5].map((k) => parseInt(hex.slice(k, k + 2), 16));
+  return r * 0.299 + g * 0.587 + b * 0.114 > 150 ? TEXT_COLOR : "#FFFFFF";
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
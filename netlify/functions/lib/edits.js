@@ -0,0 +1,111 @@
+/**
+ * Rules for editing a survey that already has responses.
+ *
+ * Answers are stored by question position (`q_<index>`), option text and, for
+ * matrix questions, statement position. Once anyone has responded, edits that
+ * would reinterpret those stored answers are refused: removing, reordering or
+ * inserting questions (anything that moves an existing question to a new
+ * position), changing a question's type or scale, adding, removing or
+ * changing a question's condition (an unasked question is stored as null, so a
+ * new condition would change what earlier answers mean), and removing or
+ * renaming options or statements. Fixing a label, adding options and adding
+ * questions at the end are fine.
+ */
+
+/**
+ * Compares the stored questions with the edited ones. Returns a list of
+ * `{ question, message }` (0-based index into `after`, or null for the survey
+ * as a whole) - empty if the edit is safe for the answers already collected.
+ */
+export function lockedQuestionProblems(before, after) {
+  const problems = [];
+
+  if (after.length === 0) {
+    return [
+      {
+        question: null,
+        message: "A survey with responses has to keep its questions - close or delete it instead.",
+      },
+    ];
+  }
+
+  if (after.length < before.length) {
+    problems.push({
+      question: after.length - 1,
+      message: "Questions can't be removed once people have responded.",
+    });
+  }
+
+  before.forEach((old, i) => {
+    const q = after[i];
+    const qNum = i + 1;
+
+    // The question itself now sits somewhere else, e.g. after an insertion
+    const movedTo = after.findIndex(
+      (a, j) => j !== i && sameText(a.label, old.label)
+    );
+    if (movedTo !== -1 && !sameText(old.label, q?.label)) {
+      problems.push({
+        question: movedTo,
+        message: `Q${movedTo + 1} was Q${qNum}. Questions can't be moved once people have responded - add new ones at the end.`,
+      });
+      return;
+    }
+
+    if (!q) return;
+
+    if (old.type !== q.type) {
+      problems.push({
+        question: i,
+        message: `Q${qNum} can't change from ${old.type} to ${q.type} once people have responded.`,
+      });
+      return;
+    }
+
+    if (!sameCondition(old.condition, q.condition)) {
+      problems.push({
+        question: i,
+        message: `Q${qNum}'s condition can't be added, removed or changed once people have responded.`,
+      });
+    }
+
+    if ((old.type === "scale" || old.type === "matrix") && !sameRange(old, q)) {
+      problems.push({
+        question: i,
+        message: `Q${qNum}'s scale can't change once people have responded.`,
+      });
+    }
+
+    // Choice answers store the option text; matrix answers the statement position
+    const items = old.type === "matrix" ? "rows" : "options";
+    const missing = (old[items] || []).filter((item, idx) =>
+      old.type === "matrix"
+        ? !q.rows?.[idx]
+        : !(q.options || []).includes(item)
+    );
+    if (missing.length > 0) {
+      problems.push({
+        question: i,
+        message:
+          old.type === "matrix"
+            ? `Q${qNum}'s statements can't be removed once people have responded.`
+            : `Q${qNum}'s options can't be removed or renamed once people have responded: ${missing.join(", ")}.`,
+      });
+    }
+  });
+
+  return problems;
+}
+
+function sameText(a, b) {
+  return (a || "").trim().toLowerCase() === (b || "").trim().toLowerCase();
+}
+
+function sameCondition(a, b) {
+  if (!a || !b) return !a && !b;
+  return a.question === b.question && sameText(a.value, b.value);
+}
+
+function sameRange(a, b) {
+  return (a.min ?? null) === (b.min ?? null) && (a.max ?? null) === (b.max ?? null);
+}
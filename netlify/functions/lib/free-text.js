@@ -0,0 +1,167 @@
+/**
+ * Offline summaries of free-text answers.
+ *
+ * A long list of quotes is unreadable in Slack, so past FREE_TEXT_INLINE_MAX
+ * answers the results show a summary instead: the most common keywords and
+ * two-word phrases, a rough positive/neutral/negative split from a small word
+ * list, and the answers grouped into themes by their top keywords. Nothing
+ * leaves the server - this is plain word counting, not a language model.
+ */
+
+// Answers shown as quotes before results switch to the summary
+export const FREE_TEXT_INLINE_MAX = 10;
+
+const MAX_KEYWORDS = 8;
+const MAX_THEMES = 5;
+
+// A keyword or phrase has to come up in at least this many answers
+const MIN_KEYWORD_ANSWERS = 2;
+
+// Words in more than this share of answers (usually the question's own topic)
+// say nothing about how answers differ, so they don't make themes
+const MAX_THEME_SHARE = 0.6;
+
+const STOPWORDS = new Set(
+  `a about above after again against all also am an and any are as at be
+  because been before being below between both but by can could did do does
+  doing down during each few for from further get got had has have having he
+  her here hers herself him himself his how i if in into is it its itself
+  just let like me more most much my myself no nor not now of off on once
+  only or other our ours ourselves out over own really same she should so
+  some such than that the their theirs them themselves then there these they
+  this those through to too under until up us very was we were what when
+  where which while who whom why will with would you your yours yourself
+  yourselves im ive dont didnt doesnt isnt wasnt cant wont thats theres
+  things thing lot lots bit one even still maybe think feel make made way
+  well redacted`.split(/\s+/)
+);
+
+const POSITIVE = new Set(
+  `good great excellent amazing awesome love loved loving liked enjoy
+  enjoyed enjoying helpful useful valuable happy glad appreciate appreciated
+  appreciative fantastic wonderful positive supportive supported welcoming
+  inclusive fun engaging inspiring clear easy best better improved improving
+  thanks thank grateful nice friendly safe heard respected comfortable
+  effective productive excited exciting impressive brilliant perfect`.split(/\s+/)
+);
+
+const NEGATIVE = new Set(
+  `bad poor terrible awful hate hated dislike disliked boring useless
+  unhelpful confusing confused unclear hard difficult frustrating frustrated
+  annoying annoyed disappointed disappointing sad unhappy worse worst
+  negative stressful stressed overwhelmed overwhelming exhausting tired
+  excluded ignored unheard unsafe uncomfortable toxic rushed late slow
+  lacking missing problem problems issue issues concern concerns worried
+  worry broken waste wasted`.split(/\s+/)
+);
+
+const NEGATIONS = new Set(
+  "not no never dont didnt doesnt isnt wasnt cant wont hardly".split(" ")
+);
+
+// Words of each clause, so phrases don't run across punctuation
+function tokenize(text) {
+  return text
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .split(/[.!?;:,()\n]+/)
+    .map((clause) => clause.split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+}
+
+function isKeyword(token) {
+  return token && !STOPWORDS.has(token) && token.length >= 3 && !/^\d+$/.test(token);
+}
+
+// Keywords and two-word phrases in one answer, each counted once
+function answerTerms(clauses) {
+  const terms = new Set();
+  clauses.forEach((tokens) => {
+    tokens.forEach((token, i) => {
+      if (!isKeyword(token)) return;
+      terms.add(token);
+      if (isKeyword(tokens[i + 1])) terms.add(`${token} ${tokens[i + 1]}`);
+    });
+  });
+  return terms;
+}
+
+/**
+ * Most common keywords and phrases as `[{ term, count }]`, where `count` is
+ * how many answers use it. A word is dropped when a phrase containing it
+ * covers the same answers.
+ */
+function topKeywords(termSets) {
+  const counts = new Map();
+  termSets.forEach((terms) => {
+    terms.forEach((term) => counts.set(term, (counts.get(term) || 0) + 1));
+  });
+
+  const ranked = [...counts.entries()]
+    .filter(([, count]) => count >= MIN_KEYWORD_ANSWERS)
+    .sort(
+      ([termA, a], [termB, b]) =>
+        b - a ||
+        termB.split(" ").length - termA.split(" ").length ||
+        termA.localeCompare(termB)
+    );
+
+  const keywords = [];
+  for (const [term, count] of ranked) {
+    const covered = keywords.some(
+      (k) => k.count === count && k.term.split(" ").includes(term)
+    );
+    if (!covered) keywords.push({ term, count });
+    if (keywords.length === MAX_KEYWORDS) break;
+  }
+  return keywords;
+}
+
+function sentimentOf(clauses) {
+  let score = 0;
+  clauses.flat().forEach((token, i, tokens) => {
+    const polarity = POSITIVE.has(token) ? 1 : NEGATIVE.has(token) ? -1 : 0;
+    if (!polarity) return;
+    // "not helpful", "never clear" - a negation up to two words back flips it
+    const negated = [tokens[i - 1], tokens[i - 2]].some((t) => NEGATIONS.has(t));
+    score += negated ? -polarity : polarity;
+  });
+  return score > 0 ? "positive" : score < 0 ? "negative" : "neutral";
+}
+
+/**
+ * Summarizes a list of answers. Returns:
+ *   keywords:  [{ term, count }]
+ *   sentiment: { positive, neutral, negative }
+ *   themes:    [{ term, texts }] - each answer under the first top keyword it
+ *              uses, most common first; answers matching none go in a final
+ *              theme with `term: null`
+ */
+export function summarizeFreeText(texts) {
+  const tokenized = texts.map(tokenize);
+  const termSets = tokenized.map(answerTerms);
+  const keywords = topKeywords(termSets);
+
+  const sentiment = { positive: 0, neutral: 0, negative: 0 };
+  tokenized.forEach((tokens) => sentiment[sentimentOf(tokens)]++);
+
+  const themes = keywords
+    .filter((k) => k.count <= texts.length * MAX_THEME_SHARE)
+    .slice(0, MAX_THEMES)
+    .map(({ term }) => ({ term, texts: [] }));
+  const other = [];
+  texts.forEach((text, i) => {
+    const theme = themes.find((t) => termSets[i].has(t.term));
+    (theme ? theme.texts : other).push(text);
+  });
+
+  return {
+    keywords,
+    sentiment,
+    themes: [
+      ...themes
+        .filter((t) => t.texts.length > 0)
+        .sort((a, b) => b.texts.length - a.texts.length),
+      ...(other.length > 0 ? [{ term: null, texts: other }] : []),
+    ],
+  };
+}
@@ -0,0 +1,94 @@
+import crypto from "crypto";
+
+/**
+ * Respondent hashes.
+ *
+ * The tracking store records who has responded as
+ * HMAC-SHA256(secret, "<salt>:<userId>"), where the secret never leaves the
+ * server (`PULSE_HASH_SECRET`) and the salt is random per survey. Without the
+ * secret, someone who can read the store can't recompute hashes from a member
+ * list to see who responded.
+ *
+ * Each hash is stored as `<keyId>.<hmac>`, where the key ID names the secret
+ * it was made with. To rotate, move the old secret to
+ * `PULSE_HASH_PREVIOUS_SECRETS` (comma-separated) and set a new one: hashes
+ * under a previous secret are still recognised and are re-keyed the next
+ * time they're looked up, or all at once with `/pulse admin rehash`.
+ *
+ * Surveys from before keyed hashes hold plain sha256("<surveyId>:<userId>")
+ * hashes. They're still recognised until `/pulse admin rehash` replaces them.
+ * Deploys that haven't set PULSE_HASH_SECRET yet keep writing those unkeyed
+ * hashes (with a warning in the logs) rather than failing every response.
+ */
+
+let warnedUnkeyed = false;
+
+export function getHashSecret() {
+  const secret = process.env.PULSE_HASH_SECRET || null;
+  if (!secret && !warnedUnkeyed) {
+    console.warn(
+      "PULSE_HASH_SECRET is not set - respondent hashes are unkeyed and can be recomputed by anyone who can read the tracking store. Set it and run /pulse admin rehash."
+    );
+    warnedUnkeyed = true;
+  }
+  return secret;
+}
+
+export function getPreviousHashSecrets() {
+  return (process.env.PULSE_HASH_PREVIOUS_SECRETS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+export function newHashSalt() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+// Surveys created before per-survey salts use their ID
+function surveySalt(survey) {
+  return survey.hashSalt || survey.id;
+}
+
+// Identifies a secret without revealing anything about it
+function keyId(secret) {
+  return crypto.createHmac("sha256", secret).update("pulse-key-id").digest("hex").slice(0, 8);
+}
+
+function keyedHash(secret, survey, userId) {
+  const hmac = crypto
+    .createHmac("sha256", secret)
+    .update(`${surveySalt(survey)}:${userId}`)
+    .digest("hex");
+  return `${keyId(secret)}.${hmac}`;
+}
+
+export function legacyHash(surveyId, userId) {
+  return crypto
+    .createHash("sha256")
+    .update(`${surveyId}:${userId}`)
+    .digest("hex");
+}
+
+// The hash new tracking entries are written with
+export function respondentHash(survey, userId) {
+  const secret = getHashSecret();
+  return secret ? keyedHash(secret, survey, userId) : legacyHash(survey.id, userId);
+}
+
+/**
+ * Hashes that may still be on file for a user from before a secret rotation
+ * or from before keyed hashes - oldest formats last.
+ */
+export function staleRespondentHashes(survey, userId) {
+  return [
+    ...getPreviousHashSecrets().map((secret) => keyedHash(secret, survey, userId)),
+    ...(getHashSecret() ? [legacyHash(survey.id, userId)] : []),
+  ];
+}
+
+// Whether a stored hash was made with the current secret
+export function isCurrentHash(hash) {
+  const secret = getHashSecret();
+  return secret ? hash.startsWith(`${keyId(secret)}.`) : !hash.includes(".");
+}
@@ -0,0 +1,209 @@
+import {
+  saveJob,
+  getJob,
+  updateJob,
+  deleteJob,
+  listJobs,
+  listSurveys,
+  getSurvey,
+  rehashTracking,
+  isSurveyOpen,
+  getResponses,
+} from "./store.js";
+import { privacyMode } from "./privacy.js";
+import { sendReminders } from "./reminders.js";
+import { uploadResultCharts } from "./charts.js";
+
+/**
+ * Background jobs.
+ *
+ * Slack gives a slash command or button three seconds to answer, which isn't
+ * enough to DM a whole channel, upload chart files or re-key every survey's
+ * tracking hashes. Work like that is saved as a job and handed to the
+ * `jobs-background` function, which Netlify acknowledges straight away and
+ * lets run for up to 15 minutes.
+ *
+ * Resumable jobs save their progress as they go. If one stops part-way - a
+ * timeout, a crash, or the hand-off never arriving - the scheduled sweep in
+ * auto-close.js picks it up where it left off.
+ */
+
+// A job nobody has picked up after this long is run by the sweep
+const HANDOFF_GRACE_MS = 2 * 60 * 1000;
+
+// Resumable jobs that keep failing are dropped after this many runs
+const MAX_RUNS = 5;
+
+const HANDLERS = {
+  remind: { run: runRemind, resumable: false },
+  charts: { run: runCharts, resumable: false },
+  rehash: { run: runRehash, resumable: true },
+};
+
+/**
+ * Saves a job and asks the background function to run it. If the request
+ * doesn't get through, the job is still picked up by the next sweep.
+ */
+export async function startJob(job) {
+  const id = await saveJob(job);
+  const siteUrl = process.env.URL;
+  if (!siteUrl) return id;
+
+  try {
+    await fetch(`${siteUrl}/.netlify/functions/jobs-background`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jobId: id }),
+    });
+  } catch (err) {
+    console.error(`Couldn't hand job ${id} to the background function:`, err);
+  }
+  return id;
+}
+
+/**
+ * Runs one job until it finishes or `deadline` passes. Finished jobs, and
+ * jobs that can't resume, are deleted; the rest are left for the sweep.
+ */
+export async function runJob(slack, id, { deadline }) {
+  const job = await getJob(id);
+  if (!job) return;
+
+  const handler = HANDLERS[job.type];
+  if (!handler) {
+    console.error(`Dropping job ${id} of unknown type ${job.type}`);
+    await deleteJob(id);
+    return;
+  }
+
+  // Non-resumable jobs get one run, so they're never repeated
+  if (!handler.resumable) {
+    await deleteJob(id);
+  } else {
+    // Claim the job so the sweep leaves it alone until the deadline
+    await updateJob(id, { runningUntil: deadline.toISOString(), runs: (job.runs || 0) + 1 });
+  }
+
+  const save = (progress) => updateJob(id, progress);
+  try {
+    const done = await handler.run(slack, job, { deadline, save });
+    if (handler.resumable && done) await deleteJob(id);
+  } catch (err) {
+    console.error(`Job ${id} (${job.type}) failed:`, err);
+    if (handler.resumable && (job.runs || 0) + 1 >= MAX_RUNS) await deleteJob(id);
+  }
+}
+
+/**
+ * Jobs whose hand-off never arrived, and resumable jobs whose last run ended
+ * without finishing.
+ */
+export async function listStalledJobs(now = new Date()) {
+  const jobs = await listJobs();
+  return jobs.filter((job) =>
+    job.runningUntil
+      ? new Date(job.runningUntil) <= now
+      : new Date(job.createdAt).getTime() + HANDOFF_GRACE_MS <= now.getTime()
+  );
+}
+
+// ─── Reminders ────────────────────────────────────────────────────────────────
+
+// A reminder round, either automatic before the deadline or a manual
+// `/pulse remind` - in which case the owner who asked (`requestedBy`) gets a
+// DM with the outcome.
+async function runRemind(slack, job) {
+  const survey = await getSurvey(job.surveyId);
+  if (!survey || !isSurveyOpen(survey)) return true;
+
+  const sent = await sendReminders(slack, survey);
+  if (!job.requestedBy) return true;
+
+  // How many were reminded would give away how many have responded
+  const text = privacyMode(survey)
+    ? `:wave: Sent an anonymous reminder for *${survey.title}* to channel members who haven't responded yet.`
+    : sent
+      ? `:wave: Sent an anonymous reminder for *${survey.title}* to ${sent} channel member${sent === 1 ? "" : "s"} who haven't responded yet.`
+      : `:tada: Everyone in <#${survey.channelId}> has already responded to *${survey.title}*.`;
+  await slack.chat.postMessage({ channel: job.requestedBy, text });
+  return true;
+}
+
+// ─── Result Charts ────────────────────────────────────────────────────────────
+
+/**
+ * Uploads a survey's result charts (see charts.js) to `channel` once the
+ * results themselves have been sent. Only the survey ID is queued - the
+ * responses are read when the job runs, so they never sit in the jobs store.
+ */
+export async function queueResultCharts(channel, survey, { report = false } = {}) {
+  await startJob({ type: "charts", surveyId: survey.id, channel, report });
+}
+
+// A failed upload (e.g. a missing files:write scope) is only logged - the
+// text results are already out
+async function runCharts(slack, job) {
+  const survey = await getSurvey(job.surveyId);
+  if (!survey) return true;
+
+  const responses = await getResponses(survey.id);
+  await uploadResultCharts(slack, job.channel, survey, responses, { report: job.report });
+  return true;
+}
+
+// ─── Re-keying Respondent Hashes ──────────────────────────────────────────────
+
+/**
+ * Re-keys respondent hashes made with a previous PULSE_HASH_SECRET or the old
+ * unkeyed format, by recomputing them for everyone in the workspace. Progress
+ * is saved after each survey, with running totals, so a resumed run skips the
+ * surveys already done. The person who asked gets a DM at the end.
+ */
+async function runRehash(slack, job, { deadline, save }) {
+  const members = await getWorkspaceMembers(slack);
+  let { surveyIds, surveyCount, rekeyed = 0, unmatched = 0 } = job;
+
+  if (!surveyIds) {
+    surveyIds = (await listSurveys()).filter((s) => !s.purgedAt).map((s) => s.id);
+    surveyCount = surveyIds.length;
+    await save({ surveyIds, surveyCount });
+  }
+
+  while (surveyIds.length > 0) {
+    if (new Date() >= deadline) return false;
+
+    const [surveyId, ...rest] = surveyIds;
+    const survey = await getSurvey(surveyId);
+    if (survey && !survey.purgedAt) {
+      const result = await rehashTracking(survey, members);
+      rekeyed += result.rekeyed;
+      unmatched += result.unmatched;
+    }
+    surveyIds = rest;
+    await save({ surveyIds, rekeyed, unmatched });
+  }
+
+  const lines = [
+    `:key: Re-keyed ${rekeyed} respondent hash${rekeyed === 1 ? "" : "es"} across ${surveyCount} survey${surveyCount === 1 ? "" : "s"}.`,
+  ];
+  if (unmatched > 0) {
+    lines.push(
+      `${unmatched} couldn't be matched to a current workspace member and were left as they are - keep the previous secret in PULSE_HASH_PREVIOUS_SECRETS until those surveys close.`
+    );
+  }
+  await slack.chat.postMessage({ channel: job.requestedBy, text: lines.join("\n") });
+  return true;
+}
+
+async function getWorkspaceMembers(slack) {
+  const members = [];
+  let cursor;
+
+  do {
+    const page = await slack.users.list({ cursor, limit: 200 });
+    members.push(...page.members.map((m) => m.id));
+    cursor = page.response_metadata?.next_cursor;
+  } while (cursor);
+
+  return members;
+}
@@ -0,0 +1,106 @@
+/**
+ * Splits a survey into response pages and evaluates skip logic.
+ *
+ * A new page starts at every `---` break the creator added, and wherever a
+ * page would run past Slack's limit of 100 blocks per modal. A question with
+ * a condition (`(if Q2 = Yes)`) can only be shown once the question it
+ * depends on has been answered, so it also starts a new page whenever that
+ * question is on the current page. Pages whose questions are all skipped are
+ * never shown.
+ */
+
+// Leaves room for the intro, divider and page indicator at the top
+const MAX_PAGE_BLOCKS = 95;
+
+export function buildPages(questions) {
+  const pages = [];
+  let current = [];
+  let blockCount = 0;
+
+  questions.forEach((q, i) => {
+    const size = questionBlockCount(q);
+    const startsPage =
+      q.pageBreak ||
+      (q.condition && current.includes(q.condition.question)) ||
+      blockCount + size > MAX_PAGE_BLOCKS;
+    if (startsPage && current.length > 0) {
+      pages.push(current);
+      current = [];
+      blockCount = 0;
+    }
+    current.push(i);
+    blockCount += size;
+  });
+
+  if (current.length > 0) pages.push(current);
+  return pages;
+}
+
+// Ranking and matrix questions take a heading plus one input per rank or
+// statement; everything else is a single input block
+function questionBlockCount(q) {
+  if (q.type === "ranking") return 1 + (q.options || []).length;
+  if (q.type === "matrix") return 1 + (q.rows || []).length;
+  return 1;
+}
+
+/**
+ * True if a question should be asked given the answers so far. Multi-select
+ * answers match when the option was one of those picked; everything else
+ * compares case-insensitively.
+ */
+export function isQuestionAsked(q, answers) {
+  if (!q.condition) return true;
+
+  const answer = answers[`q_${q.condition.question}`];
+  const expected = q.condition.value.trim().toLowerCase();
+  if (answer == null) return false;
+  if (Array.isArray(answer))
+    return answer.some((a) => String(a).trim().toLowerCase() === expected);
+  return String(answer).trim().toLowerCase() === expected;
+}
+
+export function askedOnPage(questions, page, answers) {
+  return page.filter((i) => isQuestionAsked(questions[i], answers));
+}
+
+/**
+ * Index of the next page after `fromPage` with at least one question to ask,
+ * or -1 when the respondent is done.
+ */
+export function nextPageIndex(questions, pages, fromPage, answers) {
+  for (let p = fromPage + 1; p < pages.length; p++) {
+    if (askedOnPage(questions, pages[p], answers).length > 0) return p;
+  }
+  return -1;
+}
+
+/**
+ * True if some page after `fromPage` may still be shown - either it has a
+ * question that is asked given the answers so far, or one that depends on a
+ * question not answered yet.
+ */
+export function hasLaterPage(questions, pages, fromPage, answers) {
+  return pages.slice(fromPage + 1).some((page) =>
+    page.some((i) => {
+      const { condition } = questions[i];
+      return (
+        !condition ||
+        !(`q_${condition.question}` in answers) ||
+        isQuestionAsked(questions[i], answers)
+      );
+    })
+  );
+}
+
+/**
+ * Questions skipped by their condition are recorded as `null` - "not asked" -
+ * so results can tell them apart from questions left blank.
+ */
+export function markNotAsked(questions, answers) {
+  const complete = { ...answers };
+  questions.forEach((q, i) => {
+    if (!isQuestionAsked(q, complete)) complete[`q_${i}`] = null;
+  });
+  return complete;
+}
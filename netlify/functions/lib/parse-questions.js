@@ -4,11 +4,26 @@
  *
  * Input format (one question per line):
  *   How supported do you feel?
+ *   I feel heard here (scale 1-7: Strongly disagree..Neutral..Strongly agree)
  *   Which events? (multi-select)
+ *   Which event was your favourite? (single-choice)
+ *   Rank these priorities (ranking)
+ *   Rate each statement (matrix 1-5: Disagree..Agree)
+ *   How likely are you to recommend this ERG? (nps)
  *   Any other feedback? (free-text)
  *
- * Multi-select options come from a separate field:
+ * Options for multi-select, single-choice and ranking questions, and the
+ * statements of a matrix question, come from a separate field:
  *   Q2: Social events, Mentorship, Speaker series
+ *
+ * Any question can be made conditional with `(if Q2 = Yes)`: it is only shown
+ * when the answer to question 2 is (or, for multi-select, includes) "Yes".
+ * A `---` line starts a new page; separators don't count towards question
+ * numbers.
+ *
+ * Scale questions default to 1-5 stars. `(scale MIN-MAX: low..high)` sets a
+ * custom range with endpoint labels; a third label in the middle
+ * (`low..mid..high`) labels the midpoint.
  */
 export function parseQuestions(rawQuestions, rawOptions) {
   const lines = rawQuestions
@@ -32,27 +47,337 @@ export function parseQuestions(rawQuestions, rawOptions) {
       });
   }
 
-  return lines.map((line, i) => {
-    const qNum = i + 1;
+  const questions = [];
+  let pageBreak = false;
 
-    if (/\(multi-select\)/i.test(line)) {
-      return {
-        label: line.replace(/\s*\(multi-select\)/i, "").trim(),
-        type: "multi-select",
-        options: optionsMap[qNum] || ["Option A", "Option B", "Option C"],
-      };
+  lines.forEach((rawLine) => {
+    if (PAGE_BREAK.test(rawLine)) {
+      pageBreak = questions.length > 0;
+      return;
     }
+    const qNum = questions.length + 1;
 
-    if (/\(free-text\)/i.test(line)) {
-      return {
-        label: line.replace(/\s*\(free-text\)/i, "").trim(),
-        type: "free-text",
+    // Strip the skip-logic marker first so it doesn't end up in the label
+    const condition = rawLine.match(CONDITION_MARKER);
+    const line = rawLine.replace(CONDITION_MARKER, "").trim();
+    const question = parseQuestionLine(line, qNum, optionsMap);
+    if (condition) {
+      question.condition = {
+        question: parseInt(condition[1]) - 1,
+        value: condition[2].trim(),
       };
     }
+    if (pageBreak) question.pageBreak = true;
+    pageBreak = false;
+    questions.push(question);
+  });
+
+  return questions;
+}
+
+function parseQuestionLine(line, qNum, optionsMap) {
+  if (/\(multi-select\)/i.test(line)) {
+    return {
+      label: line.replace(/\s*\(multi-select\)/i, "").trim(),
+      type: "multi-select",
+      options: optionsMap[qNum] || [],
+    };
+  }
+
+  if (/\(single-choice\)/i.test(line)) {
+    return {
+      label: line.replace(/\s*\(single-choice\)/i, "").trim(),
+      type: "single-choice",
+      options: optionsMap[qNum] || [],
+    };
+  }
+
+  if (/\(ranking\)/i.test(line)) {
+    return {
+      label: line.replace(/\s*\(ranking\)/i, "").trim(),
+      type: "ranking",
+      options: optionsMap[qNum] || [],
+    };
+  }
+
+  // A Likert matrix applies one scale (same syntax as scale questions) to
+  // every statement listed for it in the options field
+  const matrix = line.match(MATRIX_MARKER);
+  if (matrix) {
+    return {
+      label: line.replace(MATRIX_MARKER, "").trim(),
+      type: "matrix",
+      rows: optionsMap[qNum] || [],
+      ...(matrix[1] && parseScaleRange(matrix)),
+    };
+  }
 
+  if (/\(nps\)/i.test(line)) {
     return {
-      label: line.trim(),
+      label: line.replace(/\s*\(nps\)/i, "").trim(),
+      type: "nps",
+    };
+  }
+
+  if (/\(free-text\)/i.test(line)) {
+    return {
+      label: line.replace(/\s*\(free-text\)/i, "").trim(),
+      type: "free-text",
+    };
+  }
+
+  const scale = line.match(SCALE_MARKER);
+  if (scale) {
+    return {
+      label: line.replace(SCALE_MARKER, "").trim(),
       type: "scale",
+      ...parseScaleRange(scale),
     };
+  }
+
+  return {
+    label: line.trim(),
+    type: "scale",
+  };
+}
+
+// ---
+const PAGE_BREAK = /^-{3,}$/;
+
+// (if Q2 = Yes)
+const CONDITION_MARKER = /\s*\(if\s+Q(\d+)\s*=\s*([^)]+)\)/i;
+
+// (scale 1-7) or (scale 1-7: Strongly disagree..Neutral..Strongly agree)
+const SCALE_MARKER = /\s*\(scale\s+(\d+)\s*-\s*(\d+)\s*(?::\s*([^)]*))?\)/i;
+
+// (matrix) or (matrix 1-7: Disagree..Agree)
+const MATRIX_MARKER = /\s*\(matrix(?:\s+(\d+)\s*-\s*(\d+)\s*(?::\s*([^)]*))?)?\)/i;
+
+// Ranges are capped at 11 points so every value fits in one select menu
+const MAX_SCALE_POINTS = 11;
+
+function parseScaleRange([, rawMin, rawMax, rawLabels]) {
+  const min = parseInt(rawMin);
+  const max = parseInt(rawMax);
+  if (max <= min || max - min + 1 > MAX_SCALE_POINTS) return {};
+
+  const labels = {};
+  const parts = (rawLabels || "")
+    .split("..")
+    .map((l) => l.trim());
+  if (parts.length >= 2) {
+    labels[min] = parts[0];
+    labels[max] = parts[parts.length - 1];
+    const mid = (min + max) / 2;
+    if (parts.length === 3 && Number.isInteger(mid)) labels[mid] = parts[1];
+  }
+
+  return { min, max, labels };
+}
+
+// Types whose options (or, for a matrix, statements) come from the options field
+const OPTION_TYPES = ["multi-select", "single-choice", "ranking", "matrix"];
+
+// Slack rejects option text longer than this in a select or checkbox
+const MAX_OPTION_LENGTH = 75;
+
+/**
+ * Checks parsed questions for mistakes that would otherwise only show up once
+ * the survey is live. Returns a list of `{ question, field, message }` where
+ * `question` is the 0-based index and `field` is "label", "options" or
+ * "condition".
+ */
+export function validateQuestions(questions) {
+  const problems = [];
+  const seen = new Map();
+
+  questions.forEach((q, i) => {
+    const qNum = i + 1;
+    const label = q.label.trim().toLowerCase();
+
+    if (!label) {
+      problems.push({ question: i, field: "label", message: `Q${qNum} has no text.` });
+    } else if (seen.has(label)) {
+      problems.push({
+        question: i,
+        field: "label",
+        message: `Q${qNum} is the same as Q${seen.get(label) + 1}.`,
+      });
+    } else {
+      seen.set(label, i);
+    }
+
+    const options = q.type === "matrix" ? q.rows : q.options;
+    if (OPTION_TYPES.includes(q.type) && !options?.length) {
+      problems.push({
+        question: i,
+        field: "options",
+        message: `Q${qNum} (${q.type}) needs ${q.type === "matrix" ? "statements" : "options"}.`,
+      });
+    } else if (OPTION_TYPES.includes(q.type)) {
+      const message = optionProblem(q, qNum, options);
+      if (message) problems.push({ question: i, field: "options", message });
+    }
+
+    if (q.condition) {
+      const target = questions[q.condition.question];
+      const targetOptions = target?.type === "matrix" ? null : target?.options;
+      if (!target || q.condition.question >= i) {
+        problems.push({
+          question: i,
+          field: "condition",
+          message: `Q${qNum} depends on Q${q.condition.question + 1}, which must be an earlier question.`,
+        });
+      } else if (
+        targetOptions?.length &&
+        !targetOptions.some(
+          (o) => o.toLowerCase() === q.condition.value.toLowerCase()
+        )
+      ) {
+        problems.push({
+          question: i,
+          field: "condition",
+          message: `Q${qNum} depends on Q${q.condition.question + 1} being "${q.condition.value}", which isn't one of its options.`,
+        });
+      }
+    }
+  });
+
+  return problems;
+}
+
+// The first empty, repeated or over-long option of a question, if any
+function optionProblem(q, qNum, options) {
+  const noun = q.type === "matrix" ? "statement" : "option";
+  const seen = new Set();
+  for (const option of options) {
+    const key = option.trim().toLowerCase();
+    if (!key) return `Q${qNum} has an empty ${noun} - check for a doubled or trailing comma.`;
+    if (seen.has(key)) return `Q${qNum} lists "${option.trim()}" twice.`;
+    if (q.type !== "matrix" && option.length > MAX_OPTION_LENGTH) {
+      return `Q${qNum}: "${option.slice(0, 30)}…" is longer than ${MAX_OPTION_LENGTH} characters, the most Slack shows for an option.`;
+    }
+    seen.add(key);
+  }
+  return null;
+}
+
+/**
+ * Validates the text syntax from the creation modal: everything
+ * validateQuestions checks, plus scale ranges that couldn't be parsed and
+ * lines in the options field that don't match a question. Returns the parsed
+ * questions and `{ field, message }` problems where `field` is "questions" or
+ * "options".
+ */
+export function validateQuestionText(rawQuestions, rawOptions) {
+  const questions = parseQuestions(rawQuestions || "", rawOptions);
+  const problems = [];
+
+  if (questions.length === 0) {
+    problems.push({ field: "questions", message: "Add at least one question." });
+  }
+
+  rawQuestions
+    ?.split("\n")
+    .map((l) => l.trim())
+    .filter((l) => l && !PAGE_BREAK.test(l))
+    .forEach((line, i) => {
+      const range = line.match(SCALE_MARKER) || line.match(MATRIX_MARKER);
+      if (range?.[1] && parseScaleRange(range).min == null) {
+        problems.push({
+          field: "questions",
+          message: `Q${i + 1}: scales run from a lower to a higher number, with at most ${MAX_SCALE_POINTS} points.`,
+        });
+      }
+    });
+
+  validateQuestions(questions).forEach(({ field, message }) => {
+    problems.push({
+      field: field === "options" ? "options" : "questions",
+      message,
+    });
   });
+
+  (rawOptions || "")
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean)
+    .forEach((line) => {
+      const match = line.match(/^Q(\d+)\s*:/i);
+      if (!match) {
+        problems.push({
+          field: "options",
+          message: `"${line.slice(0, 40)}" should start with a question number, like Q2:`,
+        });
+        return;
+      }
+      const q = questions[parseInt(match[1]) - 1];
+      if (!q) {
+        problems.push({
+          field: "options",
+          message: `Q${match[1]} doesn't match a question.`,
+        });
+      } else if (!OPTION_TYPES.includes(q.type)) {
+        problems.push({
+          field: "options",
+          message: `Q${match[1]} is a ${q.type} question and doesn't take options.`,
+        });
+      }
+    });
+
+  return { questions, problems };
+}
+
+/**
+ * The inverse of parseQuestions: turns structured questions back into the
+ * text the creation modal expects, so saved surveys and templates can
+ * pre-fill it.
+ */
+export function formatQuestions(questions) {
+  const lines = [];
+  const options = [];
+
+  questions.forEach((q, i) => {
+    if (q.pageBreak) lines.push("---");
+
+    if (q.type === "multi-select") {
+      lines.push(`${q.label} (multi-select)`);
+      options.push(`Q${i + 1}: ${(q.options || []).join(", ")}`);
+    } else if (q.type === "scale" && q.min != null) {
+      lines.push(`${q.label} ${formatScaleMarker(q)}`);
+    } else if (q.type === "single-choice" || q.type === "ranking") {
+      lines.push(`${q.label} (${q.type})`);
+      options.push(`Q${i + 1}: ${(q.options || []).join(", ")}`);
+    } else if (q.type === "matrix") {
+      lines.push(`${q.label} ${formatScaleMarker(q, "matrix")}`);
+      options.push(`Q${i + 1}: ${(q.rows || []).join(", ")}`);
+    } else if (q.type === "nps") {
+      lines.push(`${q.label} (nps)`);
+    } else if (q.type === "free-text") {
+      lines.push(`${q.label} (free-text)`);
+    } else {
+      lines.push(q.label);
+    }
+
+    if (q.condition) {
+      lines[lines.length - 1] +=
+        ` (if Q${q.condition.question + 1} = ${q.condition.value})`;
+    }
+  });
+
+  return {
+    rawQuestions: lines.join("\n"),
+    rawOptions: options.join("\n"),
+  };
+}
+
+function formatScaleMarker(q, marker = "scale") {
+  if (q.min == null) return `(${marker})`;
+
+  const mid = (q.min + q.max) / 2;
+  const ends = [q.labels?.[q.min], q.labels?.[q.max]];
+  if (!ends[0] || !ends[1]) return `(${marker} ${q.min}-${q.max})`;
+
+  const parts = q.labels[mid] ? [ends[0], q.labels[mid], ends[1]] : ends;
+  return `(${marker} ${q.min}-${q.max}: ${parts.join("..")})`;
 }
@@ -0,0 +1,52 @@
+/**
+ * Survey ownership and workspace admins.
+ *
+ * Every survey has an `owners` list (the creator plus any co-owners). Owners
+ * can view, share, export and close the survey. Surveys created before
+ * co-owners existed only have `createdBy`, so that is the fallback.
+ *
+ * Workspace admins (People/HR) can see and close every survey and transfer
+ * ownership. They come from the PULSE_ADMINS env var (comma-separated user
+ * IDs) plus a stored list managed with `/pulse admin grant|revoke`.
+ */
+
+import { getStoredAdmins } from "./store.js";
+
+export function getOwners(survey) {
+  return survey.owners?.length ? survey.owners : [survey.createdBy];
+}
+
+export function isOwner(survey, userId) {
+  return getOwners(survey).includes(userId);
+}
+
+export function getEnvAdmins() {
+  return (process.env.PULSE_ADMINS || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+}
+
+export async function isWorkspaceAdmin(userId) {
+  if (getEnvAdmins().includes(userId)) return true;
+  const stored = await getStoredAdmins();
+  return stored.includes(userId);
+}
+
+/**
+ * Admins see aggregates for any survey, but free-text answers only when the
+ * creator opted in with the "admin_freetext" setting.
+ */
+export function adminCanReadFreeText(survey) {
+  return Boolean(survey.settings?.adminFreetext);
+}
+
+/**
+ * Who can page through a survey's free-text answers from a results message:
+ * owners, admins the creator opted in, and anyone when the creator shares
+ * free-text with respondents.
+ */
+export async function canReadFreeText(survey, userId) {
+  if (isOwner(survey, userId) || survey.settings?.shareFreetext) return true;
+  return adminCanReadFreeText(survey) && (await isWorkspaceAdmin(userId));
+}
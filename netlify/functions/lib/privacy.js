@@ -0,0 +1,69 @@
+/**
+ * Anonymity thresholds.
+ *
+ * In a small group, a star distribution or a quote from a single response can
+ * identify the person who wrote it. Results stay hidden until a survey has
+ * collected its minimum number of responses, and multi-select options picked
+ * by only a handful of people are shown without counts.
+ */
+
+export const DEFAULT_MIN_RESPONSES = 5;
+
+// Options chosen by fewer people than this are suppressed in results
+export const MIN_OPTION_COUNT = 3;
+
+export function getMinResponses(survey) {
+  return survey.settings?.minResponses ?? DEFAULT_MIN_RESPONSES;
+}
+
+export function resultsHidden(survey, responseCount) {
+  return responseCount < getMinResponses(survey);
+}
+
+export function hiddenResultsText(survey, responseCount) {
+  return `${responseCount} response${responseCount === 1 ? "" : "s"} — results hidden until ${getMinResponses(survey)} are collected`;
+}
+
+/**
+ * True if an option count is small enough to point at individuals. A creator
+ * who lowers the survey minimum below MIN_OPTION_COUNT has opted into seeing
+ * smaller groups, so the lower of the two wins.
+ */
+export function optionSuppressed(survey, count) {
+  const threshold = Math.min(MIN_OPTION_COUNT, getMinResponses(survey));
+  return count > 0 && count < threshold;
+}
+
+/**
+ * Privacy mode.
+ *
+ * A count that ticks up right after someone says they've responded gives
+ * them away. In privacy mode responses are held back and released to owners
+ * in batches by the scheduled sweep, never by the submission itself: once
+ * RELEASE_BATCH_SIZE are waiting, or RELEASE_INTERVAL_MS after the last
+ * release if at least MIN_RELEASE_SIZE are. Everything owners see (counts,
+ * results, exports) covers released responses only.
+ *
+ * Released responses are stored under random keys and read back in key order,
+ * so their order says nothing about when they arrived. Closing a survey
+ * releases the rest.
+ */
+
+export const RELEASE_BATCH_SIZE = 5;
+export const RELEASE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// A batch of one would point straight at its respondent
+export const MIN_RELEASE_SIZE = 2;
+
+export function privacyMode(survey) {
+  return Boolean(survey.settings?.privacyMode);
+}
+
+export function releaseDue(survey, pendingCount, now = new Date()) {
+  if (pendingCount >= RELEASE_BATCH_SIZE) return true;
+  const lastRelease = new Date(survey.releasedAt || survey.createdAt).getTime();
+  return (
+    pendingCount >= MIN_RELEASE_SIZE &&
+    now.getTime() - lastRelease >= RELEASE_INTERVAL_MS
+  );
+}
@@ -0,0 +1,49 @@
+/**
+ * Recurrence schedules for repeating pulse surveys.
+ *
+ * A recurring survey belongs to a "series". Every time the series comes due,
+ * the scheduled `recurring` function clones the latest round into a new survey
+ * and closes the previous one.
+ */
+
+export const RECURRENCE_OPTIONS = [
+  { value: "weekly", label: "Weekly" },
+  { value: "biweekly", label: "Every 2 weeks" },
+  { value: "monthly", label: "Monthly" },
+  { value: "quarterly", label: "Quarterly" },
+];
+
+export function isValidRecurrence(value) {
+  return RECURRENCE_OPTIONS.some((o) => o.value === value);
+}
+
+export function recurrenceLabel(value) {
+  return RECURRENCE_OPTIONS.find((o) => o.value === value)?.label || value;
+}
+
+/**
+ * Returns the date one recurrence period after `from`. Months are added in
+ * UTC so a series launched on the 15th keeps launching on the 15th.
+ */
+export function nextOccurrence(from, recurrence) {
+  const next = new Date(from);
+
+  switch (recurrence) {
+    case "weekly":
+      next.setUTCDate(next.getUTCDate() + 7);
+      break;
+    case "biweekly":
+      next.setUTCDate(next.getUTCDate() + 14);
+      break;
+    case "monthly":
+      next.setUTCMonth(next.getUTCMonth() + 1);
+      break;
+    case "quarterly":
+      next.setUTCMonth(next.getUTCMonth() + 3);
+      break;
+    default:
+      throw new Error(`Unknown recurrence: ${recurrence}`);
+  }
+
+  return next;
+}
@@ -0,0 +1,100 @@
+/**
+ * Redaction of identifying details in free-text answers.
+ *
+ * Surveys with `settings.redactPii` have Slack mentions, typed @handles,
+ * email addresses, phone numbers and a list of names replaced with
+ * "[redacted]" before a response is stored, so owners never see them. The
+ * names come from the survey (`settings.redactNames`) plus the workspace-wide
+ * `PULSE_REDACT_NAMES` (comma-separated).
+ */
+
+export const REDACTED = "[redacted]";
+
+// <@U123>, <#C123|general>, <!here>, <!subteam^S123>
+const SLACK_MENTION = /<[@#!][^>\s]+>/g;
+
+const EMAIL = /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+/gu;
+
+// @alex typed as plain text - after emails, so addresses are caught whole
+const HANDLE = /(?<![\p{L}\p{N}_])@[\p{L}\p{N}._-]+/gu;
+
+// Only number shapes phone numbers actually come in, so years, dates and
+// amounts ("2021 2022 2023", "12.05.2023") are left alone
+const PHONE_SHAPES = [
+  // +44 20 7946 0958, +1 (555) 123-4567
+  String.raw`\+\d(?:[ ().-]*\d){7,14}`,
+  // (555) 123-4567, (020) 7946 0958
+  String.raw`\(\d{2,5}\)[ .-]?\d{3,4}[ .-]?\d{3,4}`,
+  // 1-555-123-4567, 555.123.4567, 020 7946 0958
+  String.raw`(?:1[ .-])?\d{3}[ .-]\d{3,4}[ .-]\d{4}`,
+  // 0161 496 0000, 01632 960 001
+  String.raw`\d{4,5}[ .-]\d{3}[ .-]\d{3,4}`,
+  // 07700 900123
+  String.raw`\d{4,5}[ .-]\d{6}`,
+  // 555-0123 - not with a space, which reads as "room 101 2022"
+  String.raw`\d{3}[.-]\d{4}`,
+  // 5551234567, 07700900123
+  String.raw`\d{10,11}`,
+];
+const PHONE = new RegExp(
+  `(?<![\\p{L}\\p{N}])(?:${PHONE_SHAPES.join("|")})(?![\\p{L}\\p{N}])`,
+  "gu"
+);
+
+export function redactionEnabled(survey) {
+  return Boolean(survey.settings?.redactPii);
+}
+
+export function parseNames(text) {
+  return (text || "")
+    .split(/[,\n]/)
+    .map((n) => n.trim())
+    .filter(Boolean);
+}
+
+export function getRedactNames(survey) {
+  return [
+    ...parseNames(process.env.PULSE_REDACT_NAMES),
+    ...(survey.settings?.redactNames || []),
+  ];
+}
+
+export function redactText(text, names = []) {
+  let result = text
+    .replace(SLACK_MENTION, REDACTED)
+    .replace(EMAIL, REDACTED)
+    .replace(HANDLE, REDACTED)
+    .replace(PHONE, REDACTED);
+
+  // Longest first, so "Alex Smith" goes before "Alex" can split it
+  [...new Set(names)]
+    .sort((a, b) => b.length - a.length)
+    .forEach((name) => {
+      const pattern = new RegExp(
+        `(?<![\\p{L}\\p{N}_])${escapeRegExp(name)}(?![\\p{L}\\p{N}_])`,
+        "giu"
+      );
+      result = result.replace(pattern, REDACTED);
+    });
+
+  return result;
+}
+
+/**
+ * Returns a copy of `answers` with every free-text answer redacted.
+ */
+export function redactAnswers(survey, answers) {
+  const names = getRedactNames(survey);
+  const redacted = { ...answers };
+  survey.questions.forEach((q, i) => {
+    const key = `q_${i}`;
+    if (q.type === "free-text" && typeof redacted[key] === "string") {
+      redacted[key] = redactText(redacted[key], names);
+    }
+  });
+  return redacted;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
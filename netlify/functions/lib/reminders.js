@@ -0,0 +1,83 @@
+import { buildReminderMessage } from "./blocks.js";
+import { filterNonResponders } from "./store.js";
+import { getOwners } from "./permissions.js";
+
+/**
+ * Anonymous reminder nudges, and other DMs about a survey.
+ *
+ * Reminders go to members of the survey's channel whose respondent hash isn't
+ * in the tracking set yet. Nothing about who was reminded is stored - the
+ * only thing written back is the survey's `remindedAt` timestamp.
+ */
+
+// Automatic reminders go out this long before the deadline...
+const REMINDER_LEAD_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ...unless the survey is open for less than twice that, in which case the
+ * reminder goes out halfway through.
+ */
+export function reminderDueAt(survey) {
+  const created = new Date(survey.createdAt).getTime();
+  const closes = new Date(survey.closesAt).getTime();
+  return new Date(Math.max(closes - REMINDER_LEAD_MS, created + (closes - created) / 2));
+}
+
+// Surveys created from a DM fall back to posting in the creator's DM - there's
+// no channel to remind.
+export function canRemind(survey) {
+  return Boolean(survey.channelId) && /^[CG]/.test(survey.channelId);
+}
+
+/**
+ * DMs every channel member who hasn't responded. Returns how many reminders
+ * were sent.
+ */
+export async function sendReminders(slack, survey) {
+  const members = await getChannelMembers(slack, survey.channelId);
+  const pending = await filterNonResponders(survey, members);
+
+  let sent = 0;
+  for (const memberId of pending) {
+    // Bots and deactivated users can't be DMed - skip them quietly
+    try {
+      await slack.chat.postMessage({
+        channel: memberId,
+        blocks: buildReminderMessage(survey),
+        text: `Reminder: ${survey.title} is still open.`,
+      });
+      sent++;
+    } catch (err) {
+      console.warn(`Reminder skipped for a member of ${survey.channelId}: ${err.data?.error || err.message}`);
+    }
+  }
+
+  return sent;
+}
+
+// Owners are told whenever an admin closes their survey for them
+export async function notifyOwnersOfAdminClose(slack, survey, adminId) {
+  for (const ownerId of getOwners(survey)) {
+    await slack.chat.postMessage({
+      channel: ownerId,
+      text: `:shield: <@${adminId}> (workspace admin) closed your survey *${survey.title}*. Existing responses are kept - use \`/pulse list\` to view them.`,
+    });
+  }
+}
+
+async function getChannelMembers(slack, channelId) {
+  const members = [];
+  let cursor;
+
+  do {
+    const page = await slack.conversations.members({
+      channel: channelId,
+      cursor,
+      limit: 200,
+    });
+    members.push(...page.members);
+    cursor = page.response_metadata?.next_cursor;
+  } while (cursor);
+
+  return members;
+}
@@ -0,0 +1,69 @@
+/**
+ * Data retention.
+ *
+ * Responses and tracking hashes can be deleted a set number of days after a
+ * survey closes. The workspace default comes from the PULSE_RETENTION_DAYS
+ * env var (unset keeps responses until the survey is deleted) and each survey
+ * can override it. Owners are warned a week ahead so they can export; after
+ * the purge only aggregate counts remain on the survey record.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const PURGE_WARNING_DAYS = 7;
+
+export function getWorkspaceRetentionDays() {
+  const days = parseInt(process.env.PULSE_RETENTION_DAYS, 10);
+  return days > 0 ? days : null;
+}
+
+export function getRetentionDays(survey) {
+  return survey.settings?.retentionDays ?? getWorkspaceRetentionDays();
+}
+
+/**
+ * When a closed survey's responses are due to be purged, or null if they are
+ * kept (no retention window, still open, or already purged).
+ */
+export function purgeDueAt(survey) {
+  const days = getRetentionDays(survey);
+  if (!days || !survey.closedAt || survey.purgedAt) return null;
+  return new Date(new Date(survey.closedAt).getTime() + days * DAY_MS);
+}
+
+/**
+ * The purge only runs once owners have had a full warning period, so a
+ * window shortened after the fact can't delete responses without notice.
+ */
+export function purgeAllowedAt(survey) {
+  const due = purgeDueAt(survey);
+  if (!due || !survey.retentionWarnedAt) return null;
+  const warned = new Date(survey.retentionWarnedAt).getTime();
+  return new Date(Math.max(due.getTime(), warned + PURGE_WARNING_DAYS * DAY_MS));
+}
+
+export function purgeWarningDue(survey, now = new Date()) {
+  const due = purgeDueAt(survey);
+  return (
+    !!due &&
+    !survey.retentionWarnedAt &&
+    due.getTime() - PURGE_WARNING_DAYS * DAY_MS <= now.getTime()
+  );
+}
+
+/**
+ * The purge date to announce when warning owners now: the end of the window,
+ * or a full warning period away if that is later.
+ */
+export function announcedPurgeAt(survey, now = new Date()) {
+  return new Date(
+    Math.max(
+      purgeDueAt(survey).getTime(),
+      now.getTime() + PURGE_WARNING_DAYS * DAY_MS
+    )
+  );
+}
+
+export function purgedText(survey) {
+  return `Individual responses were deleted on ${survey.purgedAt.slice(0, 10)} under the data retention policy - only aggregate results remain`;
+}
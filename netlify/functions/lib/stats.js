@@ -0,0 +1,210 @@
+/**
+ * Aggregation helpers shared by the results view, trend comparisons and the
+ * CSV exports. Each summary is plain data - formatting lives in blocks.js.
+ */
+
+export function summarizeQuestion(q, i, responses) {
+  // Questions skipped by skip logic are stored as null
+  const notAsked = responses.filter((r) => r[`q_${i}`] === null).length;
+  return { ...summarizeAnswers(q, i, responses), notAsked };
+}
+
+function summarizeAnswers(q, i, responses) {
+  const key = `q_${i}`;
+
+  if (q.type === "scale") {
+    const { min, max } = scaleRange(q);
+    const values = responses
+      .map((r) => parseFloat(r[key]))
+      .filter((v) => !Number.isNaN(v));
+    const average = values.length
+      ? values.reduce((a, b) => a + b, 0) / values.length
+      : null;
+    const distribution = scalePoints(q).map(
+      (n) => values.filter((v) => v === n).length
+    );
+    return {
+      type: q.type,
+      label: q.label,
+      count: values.length,
+      average,
+      distribution,
+      min,
+      max,
+    };
+  }
+
+  if (q.type === "multi-select") {
+    const counts = {};
+    responses
+      .flatMap((r) => r[key] || [])
+      .forEach((opt) => {
+        counts[opt] = (counts[opt] || 0) + 1;
+      });
+    const respondents = responses.filter((r) => r[key] !== null).length;
+    return { type: q.type, label: q.label, respondents, counts };
+  }
+
+  if (q.type === "single-choice") {
+    const answers = responses.map((r) => r[key]).filter(Boolean);
+    const counts = {};
+    answers.forEach((opt) => {
+      counts[opt] = (counts[opt] || 0) + 1;
+    });
+    const top = Math.max(0, ...Object.values(counts));
+    const modes = Object.keys(counts).filter((opt) => counts[opt] === top);
+    return {
+      type: q.type,
+      label: q.label,
+      respondents: answers.length,
+      counts,
+      modes: top > 0 ? modes : [],
+    };
+  }
+
+  if (q.type === "ranking") {
+    // Each answer is the options in the order the respondent ranked them
+    const rankings = responses.map((r) => r[key]).filter(Array.isArray);
+    const options = (q.options || []).map((opt) => {
+      const ranks = rankings
+        .map((ranking) => ranking.indexOf(opt) + 1)
+        .filter((rank) => rank > 0);
+      const averageRank = ranks.length
+        ? ranks.reduce((a, b) => a + b, 0) / ranks.length
+        : null;
+      return { option: opt, averageRank, count: ranks.length };
+    });
+    return {
+      type: q.type,
+      label: q.label,
+      count: rankings.length,
+      // Best (lowest) average rank first
+      options: options.sort(
+        (a, b) => (a.averageRank ?? Infinity) - (b.averageRank ?? Infinity)
+      ),
+    };
+  }
+
+  if (q.type === "matrix") {
+    // Each answer is one scale value per statement, in statement order
+    const rows = (q.rows || []).map((statement, rowIdx) => {
+      const rowResponses = responses.map((r) => ({
+        [key]: Array.isArray(r[key]) ? r[key][rowIdx] : undefined,
+      }));
+      const { count, average, distribution, min, max } = summarizeAnswers(
+        { ...q, type: "scale" },
+        i,
+        rowResponses
+      );
+      return { statement, count, average, distribution, min, max };
+    });
+    return { type: q.type, label: q.label, rows };
+  }
+
+  if (q.type === "nps") {
+    const values = responses
+      .map((r) => parseInt(r[key], 10))
+      .filter((v) => !Number.isNaN(v));
+    return { type: q.type, label: q.label, ...npsBreakdown(values) };
+  }
+
+  if (q.type === "free-text") {
+    const texts = responses.map((r) => r[key]).filter(Boolean);
+    return { type: q.type, label: q.label, count: texts.length, texts };
+  }
+
+  return { type: q.type, label: q.label };
+}
+
+/**
+ * Summary for question `i`, from the responses - or, once they have been
+ * purged under the retention policy, from the aggregates kept on the survey.
+ */
+export function surveyQuestionSummary(survey, i, responses) {
+  if (survey.aggregates) return survey.aggregates.questions[i];
+  return summarizeQuestion(survey.questions[i], i, responses);
+}
+
+export function responseTotal(survey, responses) {
+  return survey.aggregates ? survey.aggregates.responseCount : responses.length;
+}
+
+/**
+ * The aggregates kept on a survey when its responses are purged. Free-text
+ * answers are the responses themselves, so only their count is kept.
+ */
+export function buildAggregates(survey, responses) {
+  return {
+    responseCount: responses.length,
+    questions: survey.questions.map((q, i) => {
+      const summary = summarizeQuestion(q, i, responses);
+      return q.type === "free-text" ? { ...summary, texts: [] } : summary;
+    }),
+  };
+}
+
+/**
+ * Net Promoter Score from 0-10 answers: promoters answer 9-10, passives 7-8
+ * and detractors 0-6. The score is % promoters minus % detractors, so it
+ * ranges from -100 to +100.
+ */
+export function npsBreakdown(values) {
+  const promoters = values.filter((v) => v >= 9).length;
+  const passives = values.filter((v) => v >= 7 && v <= 8).length;
+  const detractors = values.filter((v) => v <= 6).length;
+  const count = values.length;
+  const score = count
+    ? Math.round(((promoters - detractors) / count) * 100)
+    : null;
+  const distribution = Array.from(
+    { length: 11 },
+    (_, n) => values.filter((v) => v === n).length
+  );
+  return { count, promoters, passives, detractors, score, distribution };
+}
+
+/**
+ * Scale questions without an explicit range are the original 1-5 stars.
+ */
+export function scaleRange(q) {
+  return q.min != null ? { min: q.min, max: q.max } : { min: 1, max: 5 };
+}
+
+export function isStarScale(q) {
+  return q.min == null;
+}
+
+export function scalePoints(q) {
+  const { min, max } = scaleRange(q);
+  return Array.from({ length: max - min + 1 }, (_, idx) => min + idx);
+}
+
+export function percent(count, total) {
+  return total ? Math.round((count / total) * 100) : 0;
+}
+
+/**
+ * Lines up the questions of several surveys (oldest first) by label so a
+ * question keeps its history even if it moved position between rounds.
+ * Returns one entry per question of the latest survey, with a summary for
+ * each round (null where the round didn't ask it).
+ */
+export function matchQuestionsByLabel(rounds) {
+  const normalize = (label) => label.trim().toLowerCase();
+  const latest = rounds[rounds.length - 1];
+
+  return latest.survey.questions
+    .filter((q) => q.type !== "free-text")
+    .map((q) => ({
+      label: q.label,
+      type: q.type,
+      question: q,
+      summaries: rounds.map(({ survey, responses }) => {
+        const i = survey.questions.findIndex(
+          (other) =>
+            other.type === q.type && normalize(other.label) === normalize(q.label)
+        );
+        return i === -1 ? null : surveyQuestionSummary(survey, i, responses);
+      }),
+    }));
+}
@@ -0,0 +1,59 @@
+import { promises as fs } from "fs";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Filesystem storage backend for self-hosting. Each store is a directory
+ * under PULSE_STORAGE_DIR and each key one file, named with the key
+ * URI-encoded so keys containing `/` stay flat. Writes go to a temp file
+ * that is then renamed over the target, so readers never see half a value.
+ */
+export function createFsStore(name) {
+  const dir = path.join(process.env.PULSE_STORAGE_DIR || ".pulse-data", name);
+  const fileFor = (key) => path.join(dir, encodeURIComponent(key));
+
+  const write = async (key, value) => {
+    await fs.mkdir(dir, { recursive: true });
+    const tmp = path.join(dir, `.tmp-${crypto.randomUUID()}`);
+    await fs.writeFile(tmp, value, "utf8");
+    await fs.rename(tmp, fileFor(key));
+  };
+
+  return {
+    async get(key, { type } = {}) {
+      let value;
+      try {
+        value = await fs.readFile(fileFor(key), "utf8");
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+      return type === "json" ? JSON.parse(value) : value;
+    },
+    async set(key, value) {
+      await write(key, String(value));
+    },
+    async setJSON(key, value) {
+      await write(key, JSON.stringify(value));
+    },
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+    async list({ prefix = "" } = {}) {
+      let files;
+      try {
+        files = await fs.readdir(dir);
+      } catch (err) {
+        if (err.code === "ENOENT") return { blobs: [] };
+        throw err;
+      }
+      return {
+        blobs: files
+          .filter((file) => !file.startsWith(".tmp-"))
+          .map((file) => decodeURIComponent(file))
+          .filter((key) => key.startsWith(prefix))
+          .map((key) => ({ key })),
+      };
+    },
+  };
+}
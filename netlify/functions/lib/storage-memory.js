@@ -0,0 +1,40 @@
+/**
+ * In-memory storage backend for tests and local experiments. Stores with the
+ * same name share data for the life of the process.
+ */
+
+const stores = new Map();
+
+export function createMemoryStore(name) {
+  if (!stores.has(name)) stores.set(name, new Map());
+  const data = stores.get(name);
+
+  return {
+    async get(key, { type } = {}) {
+      if (!data.has(key)) return null;
+      const value = data.get(key);
+      return type === "json" ? JSON.parse(value) : value;
+    },
+    async set(key, value) {
+      data.set(key, String(value));
+    },
+    async setJSON(key, value) {
+      data.set(key, JSON.stringify(value));
+    },
+    async delete(key) {
+      data.delete(key);
+    },
+    async list({ prefix = "" } = {}) {
+      return {
+        blobs: [...data.keys()]
+          .filter((key) => key.startsWith(prefix))
+          .map((key) => ({ key })),
+      };
+    },
+  };
+}
+
+// Empties every memory store, e.g. between tests
+export function clearMemoryStores() {
+  stores.clear();
+}
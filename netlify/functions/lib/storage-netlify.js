@@ -0,0 +1,32 @@
+/**
+ * Netlify Blobs storage backend. The package is loaded on first use so the
+ * other backends work without it.
+ */
+export function createNetlifyStore(name) {
+  let store = null;
+  const open = async () => {
+    if (!store) {
+      const { getStore } = await import("@netlify/blobs");
+      store = getStore(name);
+    }
+    return store;
+  };
+
+  return {
+    async get(key, options) {
+      return (await open()).get(key, options);
+    },
+    async set(key, value) {
+      await (await open()).set(key, value);
+    },
+    async setJSON(key, value) {
+      await (await open()).setJSON(key, value);
+    },
+    async delete(key) {
+      await (await open()).delete(key);
+    },
+    async list(options) {
+      return (await open()).list(options);
+    },
+  };
+}
@@ -0,0 +1,45 @@
+import { createNetlifyStore } from "./storage-netlify.js";
+import { createFsStore } from "./storage-fs.js";
+import { createMemoryStore } from "./storage-memory.js";
+
+/**
+ * Storage backends.
+ *
+ * store.js talks to named key-value stores through this module instead of
+ * calling Netlify Blobs directly, so the app can also run on a plain Node
+ * server or in tests. `PULSE_STORAGE` picks the backend:
+ *
+ *   netlify (default) - Netlify Blobs
+ *   fs                - JSON files under PULSE_STORAGE_DIR (default .pulse-data)
+ *   memory            - in-process maps, lost on restart
+ *
+ * Every backend implements the subset of the Netlify Blobs store API that
+ * store.js uses:
+ *
+ *   get(key, { type: "json" }?)  -> value, or null if missing
+ *   set(key, string)
+ *   setJSON(key, value)
+ *   delete(key)
+ *   list({ prefix }?)            -> { blobs: [{ key }] }
+ */
+
+const ADAPTERS = {
+  netlify: createNetlifyStore,
+  fs: createFsStore,
+  memory: createMemoryStore,
+};
+
+export function getStorageBackend() {
+  return (process.env.PULSE_STORAGE || "netlify").toLowerCase();
+}
+
+export function getStore(name) {
+  const backend = getStorageBackend();
+  const create = ADAPTERS[backend];
+  if (!create) {
+    throw new Error(
+      `Unknown PULSE_STORAGE "${backend}" - use one of: ${Object.keys(ADAPTERS).join(", ")}`
+    );
+  }
+  return create(name);
+}
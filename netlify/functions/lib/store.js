@@ -1,9 +1,20 @@
-import { getStore } from "@netlify/blobs";
+import { getStore } from "./storage.js";
 import crypto from "crypto";
+import {
+  respondentHash,
+  staleRespondentHashes,
+  legacyHash,
+  isCurrentHash,
+  newHashSalt,
+} from "./hashing.js";
+import { privacyMode, releaseDue } from "./privacy.js";
 
 const SURVEYS_STORE = "pulse-surveys";
 const RESPONSES_STORE = "pulse-responses";
 const TRACKING_STORE = "pulse-tracking";
+const TEMPLATES_STORE = "pulse-templates";
+const DRAFTS_STORE = "pulse-drafts";
+const JOBS_STORE = "pulse-jobs";
 
 function getSurveyStore() {
   return getStore(SURVEYS_STORE);
@@ -17,6 +28,18 @@ function getTrackingStore() {
   return getStore(TRACKING_STORE);
 }
 
+function getTemplateStore() {
+  return getStore(TEMPLATES_STORE);
+}
+
+function getDraftStore() {
+  return getStore(DRAFTS_STORE);
+}
+
+function getJobStore() {
+  return getStore(JOBS_STORE);
+}
+
 // --- Survey CRUD ---
 
 export async function createSurvey(survey) {
@@ -25,17 +48,18 @@ export async function createSurvey(survey) {
     id,
     ...survey,
     status: "open",
-    responseCount: 0,
+    hashSalt: newHashSalt(),
     createdAt: new Date().toISOString(),
   };
   const store = getSurveyStore();
   await store.setJSON(id, record);
-  return record;
+  return withResponseCounts(record);
 }
 
 export async function getSurvey(id) {
   const store = getSurveyStore();
-  return store.get(id, { type: "json" });
+  const survey = await store.get(id, { type: "json" });
+  return survey && withResponseCounts(survey);
 }
 
 export async function updateSurvey(id, updates) {
@@ -44,84 +68,548 @@ export async function updateSurvey(id, updates) {
   if (!survey) return null;
   const updated = { ...survey, ...updates };
   await store.setJSON(id, updated);
-  return updated;
+  return withResponseCounts(updated);
 }
 
 export async function closeSurvey(id) {
-  return updateSurvey(id, { status: "closed" });
+  const closed = await updateSurvey(id, {
+    status: "closed",
+    closedAt: new Date().toISOString(),
+  });
+  if (closed && privacyMode(closed)) return releasePendingResponses(id);
+  return closed;
+}
+
+/**
+ * Permanently deletes a survey with its responses, tracking hashes, owner
+ * index entries and its place in a recurring series. Returns the deleted
+ * survey, or null if it didn't exist.
+ */
+export async function deleteSurvey(id) {
+  const survey = await getSurvey(id);
+  if (!survey) return null;
+
+  await deleteSurveyEntries(getResponseStore(), id);
+  await deleteSurveyEntries(getTrackingStore(), id);
+
+  const indexed = new Set([survey.createdBy, ...(survey.owners || [])]);
+  await Promise.all(
+    [...indexed]
+      .filter(Boolean)
+      .map((userId) => removeSurveyFromUserIndex(userId, id))
+  );
+  if (survey.seriesId) await removeSurveyFromSeries(survey.seriesId, id);
+
+  await getSurveyStore().delete(id);
+  return survey;
+}
+
+// Survey ids are the first 8 hex characters of a UUID. Everything else in the
+// surveys store (`user_<id>` indexes, `series_<id>`, `config_admins`) uses a
+// prefixed key.
+const SURVEY_KEY = /^[0-9a-f]{8}$/;
+
+export async function listSurveys() {
+  const store = getSurveyStore();
+  const { blobs } = await store.list();
+  const surveys = await Promise.all(
+    blobs
+      .filter((b) => SURVEY_KEY.test(b.key))
+      .map((b) => store.get(b.key, { type: "json" }))
+  );
+  return Promise.all(surveys.filter(Boolean).map(withResponseCounts));
+}
+
+/**
+ * A survey is open until it is closed explicitly or its deadline passes. The
+ * scheduled sweep flips the status eventually, but we check `closesAt` here so
+ * nobody can slip in a response between the deadline and the next sweep.
+ */
+export function isSurveyOpen(survey) {
+  if (survey.status === "closed") return false;
+  if (survey.closesAt && new Date(survey.closesAt) <= new Date()) return false;
+  return true;
 }
 
 // --- Response storage (fully anonymous) ---
+// Each response is its own blob under `<surveyId>/<random id>`, so concurrent
+// submissions never overwrite each other. Surveys from before this layout
+// keep their responses in one array under the bare survey ID, which is still
+// read (and purged) alongside the per-response blobs. Submitting never writes
+// the survey record: `responseCount` (and `pendingCount` in privacy mode) are
+// counted from the stored responses whenever a survey is read.
+
+function surveyPrefix(surveyId) {
+  return `${surveyId}/`;
+}
+
+// Responses of a survey in privacy mode wait here until released in a batch
+function pendingPrefix(surveyId) {
+  return `${surveyPrefix(surveyId)}pending/`;
+}
+
+// Keys are random, so sorting them gives every backend the same shuffled order
+async function listKeys(store, surveyId, prefix = surveyPrefix(surveyId)) {
+  const { blobs } = await store.list({ prefix });
+  return blobs.map((b) => b.key).sort();
+}
+
+async function listReleasedKeys(store, surveyId) {
+  const pending = pendingPrefix(surveyId);
+  return (await listKeys(store, surveyId)).filter((key) => !key.startsWith(pending));
+}
 
+// Removes both layouts of a survey's entries from a store
+async function deleteSurveyEntries(store, surveyId) {
+  const keys = await listKeys(store, surveyId);
+  await Promise.all([surveyId, ...keys].map((key) => store.delete(key)));
+}
+
+/**
+ * Stores a response and returns the survey's released response count. In
+ * privacy mode the response is held back until its batch is released - never
+ * in this request, or the new count would point at whoever just submitted.
+ */
 export async function addResponse(surveyId, answers) {
   const store = getResponseStore();
-  const existing = (await store.get(surveyId, { type: "json" })) || [];
-  existing.push(answers);
-  await store.setJSON(surveyId, existing);
-
-  // Increment response count on the survey
-  const surveyStore = getSurveyStore();
-  const survey = await surveyStore.get(surveyId, { type: "json" });
-  if (survey) {
-    survey.responseCount = existing.length;
-    await surveyStore.setJSON(surveyId, survey);
+  const survey = await getSurveyStore().get(surveyId, { type: "json" });
+  const prefix =
+    survey && privacyMode(survey) ? pendingPrefix(surveyId) : surveyPrefix(surveyId);
+  await store.setJSON(`${prefix}${crypto.randomUUID()}`, answers);
+  return countResponses(surveyId);
+}
+
+/**
+ * Releases a survey's pending batch if it is due (closed surveys release
+ * everything). Only the scheduled sweep and closing a survey call this.
+ * Returns the survey with its new counts.
+ */
+export async function releasePendingResponses(surveyId, now = new Date()) {
+  const survey = await getSurvey(surveyId);
+  if (!survey) return null;
+
+  const store = getResponseStore();
+  const pending = await listKeys(store, surveyId, pendingPrefix(surveyId));
+  if (
+    pending.length === 0 ||
+    (survey.status !== "closed" && !releaseDue(survey, pending.length, now))
+  )
+    return survey;
+
+  const from = pendingPrefix(surveyId);
+  for (const key of pending) {
+    const answers = await store.get(key, { type: "json" });
+    if (answers) {
+      await store.setJSON(`${surveyPrefix(surveyId)}${key.slice(from.length)}`, answers);
+    }
+    await store.delete(key);
+  }
+  return updateSurvey(surveyId, { releasedAt: now.toISOString() });
+}
+
+// Counts come from the stored responses, so they can't drift. Purged surveys
+// keep the count they had in their aggregates.
+async function withResponseCounts(survey) {
+  if (survey.purgedAt) {
+    return { ...survey, responseCount: survey.aggregates?.responseCount ?? survey.responseCount ?? 0 };
   }
 
-  return existing.length;
+  const store = getResponseStore();
+  const pending = pendingPrefix(survey.id);
+  const keys = await listKeys(store, survey.id);
+  const pendingCount = keys.filter((key) => key.startsWith(pending)).length;
+  const legacy = (await store.get(survey.id, { type: "json" })) || [];
+
+  return {
+    ...survey,
+    responseCount: legacy.length + keys.length - pendingCount,
+    ...(privacyMode(survey) ? { pendingCount } : {}),
+  };
+}
+
+// Released responses only
+export async function countResponses(surveyId) {
+  const store = getResponseStore();
+  const legacy = (await store.get(surveyId, { type: "json" })) || [];
+  return legacy.length + (await listReleasedKeys(store, surveyId)).length;
 }
 
 export async function getResponses(surveyId) {
   const store = getResponseStore();
-  return (await store.get(surveyId, { type: "json" })) || [];
+  const legacy = (await store.get(surveyId, { type: "json" })) || [];
+  const keys = await listReleasedKeys(store, surveyId);
+  const responses = await Promise.all(
+    keys.map((key) => store.get(key, { type: "json" }))
+  );
+  return [...legacy, ...responses.filter(Boolean)];
+}
+
+/**
+ * Deletes a survey's responses and tracking hashes under the retention
+ * policy, keeping `aggregates` on the survey record in their place.
+ */
+export async function purgeResponses(surveyId, aggregates) {
+  await deleteSurveyEntries(getResponseStore(), surveyId);
+  await deleteSurveyEntries(getTrackingStore(), surveyId);
+  return updateSurvey(surveyId, {
+    aggregates,
+    purgedAt: new Date().toISOString(),
+  });
 }
 
 // --- Anonymous tracking (prevent double-submit without storing identity) ---
+// One empty marker blob per respondent under `<surveyId>/<hash>`; older
+// surveys keep an array of hashes under the bare survey ID. See hashing.js
+// for how the hashes are made.
+
+async function getLegacyHashes(store, surveyId) {
+  return (await store.get(surveyId, { type: "json" })) || [];
+}
+
+function trackingKey(surveyId, hash) {
+  return `${surveyPrefix(surveyId)}${hash}`;
+}
 
-export async function hasUserResponded(surveyId, userId) {
-  const hash = crypto
-    .createHash("sha256")
-    .update(`${surveyId}:${userId}`)
-    .digest("hex");
+export async function hasUserResponded(survey, userId) {
   const store = getTrackingStore();
-  const set = (await store.get(surveyId, { type: "json" })) || [];
-  return set.includes(hash);
+  if ((await store.get(trackingKey(survey.id, respondentHash(survey, userId)))) !== null) {
+    return true;
+  }
+
+  // Re-key a marker left under an old secret or format as it's found
+  for (const hash of staleRespondentHashes(survey, userId)) {
+    if ((await store.get(trackingKey(survey.id, hash))) !== null) {
+      await markUserResponded(survey, userId);
+      await store.delete(trackingKey(survey.id, hash));
+      return true;
+    }
+  }
+
+  const legacy = await getLegacyHashes(store, survey.id);
+  return legacy.length > 0 && legacy.includes(legacyHash(survey.id, userId));
 }
 
-export async function markUserResponded(surveyId, userId) {
-  const hash = crypto
-    .createHash("sha256")
-    .update(`${surveyId}:${userId}`)
-    .digest("hex");
+export async function markUserResponded(survey, userId) {
   const store = getTrackingStore();
-  const set = (await store.get(surveyId, { type: "json" })) || [];
-  if (!set.includes(hash)) {
-    set.push(hash);
-    await store.setJSON(surveyId, set);
+  await store.set(trackingKey(survey.id, respondentHash(survey, userId)), "");
+}
+
+/**
+ * Returns the users in `userIds` who haven't responded yet. Lists the hashes
+ * once, so reminding a large channel doesn't mean one read per member.
+ */
+export async function filterNonResponders(survey, userIds) {
+  const store = getTrackingStore();
+  const prefix = surveyPrefix(survey.id);
+  const hashes = new Set([
+    ...(await getLegacyHashes(store, survey.id)),
+    ...(await listKeys(store, survey.id)).map((key) => key.slice(prefix.length)),
+  ]);
+  return userIds.filter(
+    (userId) =>
+      !hashes.has(respondentHash(survey, userId)) &&
+      !staleRespondentHashes(survey, userId).some((hash) => hashes.has(hash))
+  );
+}
+
+/**
+ * Re-keys a survey's tracking entries that were made with a previous secret
+ * or the old unkeyed format, matching them against `userIds` (everyone in the
+ * workspace). Entries that match nobody - e.g. people from outside the
+ * workspace - are left as they are. Returns `{ rekeyed, unmatched }`.
+ */
+export async function rehashTracking(survey, userIds) {
+  const store = getTrackingStore();
+  const prefix = surveyPrefix(survey.id);
+
+  const owners = new Map();
+  userIds.forEach((userId) => {
+    staleRespondentHashes(survey, userId).forEach((hash) => owners.set(hash, userId));
+  });
+
+  let rekeyed = 0;
+  let unmatched = 0;
+
+  const keys = await listKeys(store, survey.id);
+  for (const key of keys) {
+    const hash = key.slice(prefix.length);
+    if (isCurrentHash(hash)) continue;
+    const userId = owners.get(hash);
+    if (!userId) {
+      unmatched++;
+      continue;
+    }
+    await markUserResponded(survey, userId);
+    await store.delete(key);
+    rekeyed++;
+  }
+
+  const legacy = await getLegacyHashes(store, survey.id);
+  if (legacy.length > 0) {
+    const remaining = [];
+    for (const hash of legacy) {
+      const userId = owners.get(hash);
+      if (userId) {
+        await markUserResponded(survey, userId);
+        rekeyed++;
+      } else {
+        remaining.push(hash);
+      }
+    }
+    unmatched += remaining.length;
+    if (remaining.length > 0) await store.setJSON(survey.id, remaining);
+    else await store.delete(survey.id);
   }
+
+  return { rekeyed, unmatched };
 }
 
-// --- Per-user survey index (tracks which surveys a user created) ---
+// --- Per-user survey index (tracks which surveys a user owns) ---
 
 export async function addSurveyToUserIndex(userId, surveyId) {
   const store = getSurveyStore();
   const key = `user_${userId}`;
   const index = (await store.get(key, { type: "json" })) || [];
+  if (index.includes(surveyId)) return;
   index.push(surveyId);
   await store.setJSON(key, index);
 }
 
+export async function removeSurveyFromUserIndex(userId, surveyId) {
+  const store = getSurveyStore();
+  const key = `user_${userId}`;
+  const index = (await store.get(key, { type: "json" })) || [];
+  await store.setJSON(
+    key,
+    index.filter((id) => id !== surveyId)
+  );
+}
+
 export async function getUserSurveys(userId) {
   const store = getSurveyStore();
   const key = `user_${userId}`;
   const ids = (await store.get(key, { type: "json" })) || [];
 
   // Fetch all surveys in parallel
-  const surveys = await Promise.all(
-    ids.map((id) => store.get(id, { type: "json" }))
-  );
+  const surveys = await Promise.all(ids.map((id) => getSurvey(id)));
 
   // Filter out any that were deleted or missing, newest first
   return surveys
     .filter(Boolean)
     .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 }
+
+// --- Recurring series (links every round of a repeating survey) ---
+
+export async function createSeries(series) {
+  const id = crypto.randomUUID().slice(0, 8);
+  const record = {
+    id,
+    ...series,
+    surveyIds: [],
+    active: true,
+    createdAt: new Date().toISOString(),
+  };
+  const store = getSurveyStore();
+  await store.setJSON(`series_${id}`, record);
+  return record;
+}
+
+export async function getSeries(id) {
+  const store = getSurveyStore();
+  return store.get(`series_${id}`, { type: "json" });
+}
+
+export async function updateSeries(id, updates) {
+  const store = getSurveyStore();
+  const key = `series_${id}`;
+  const series = await store.get(key, { type: "json" });
+  if (!series) return null;
+  const updated = { ...series, ...updates };
+  await store.setJSON(key, updated);
+  return updated;
+}
+
+export async function addSurveyToSeries(seriesId, surveyId) {
+  const series = await getSeries(seriesId);
+  if (!series) return null;
+  return updateSeries(seriesId, {
+    surveyIds: [...series.surveyIds, surveyId],
+  });
+}
+
+// A series whose every round was deleted is deleted with them
+async function removeSurveyFromSeries(seriesId, surveyId) {
+  const series = await getSeries(seriesId);
+  if (!series) return;
+  const surveyIds = series.surveyIds.filter((id) => id !== surveyId);
+  if (surveyIds.length === 0) {
+    await getSurveyStore().delete(`series_${seriesId}`);
+  } else {
+    await updateSeries(seriesId, { surveyIds });
+  }
+}
+
+/**
+ * Stops a series from launching further rounds. The current round stays open
+ * until it is closed or hits its deadline.
+ */
+export async function stopSeries(seriesId) {
+  const series = await updateSeries(seriesId, { active: false, nextRunAt: null });
+  if (!series) return null;
+  await Promise.all(
+    series.surveyIds.map((id) => updateSurvey(id, { recurrence: null }))
+  );
+  return series;
+}
+
+export async function listSeries() {
+  const store = getSurveyStore();
+  const { blobs } = await store.list({ prefix: "series_" });
+  const series = await Promise.all(
+    blobs.map((b) => store.get(b.key, { type: "json" }))
+  );
+  return series.filter(Boolean);
+}
+
+export async function getSeriesSurveys(seriesId) {
+  const series = await getSeries(seriesId);
+  if (!series) return [];
+  const surveys = await Promise.all(series.surveyIds.map((id) => getSurvey(id)));
+
+  // Oldest round first
+  return surveys.filter(Boolean).sort((a, b) => a.round - b.round);
+}
+
+// --- Workspace admins (in addition to the PULSE_ADMINS env var) ---
+
+const ADMINS_KEY = "config_admins";
+
+export async function getStoredAdmins() {
+  const store = getSurveyStore();
+  return (await store.get(ADMINS_KEY, { type: "json" })) || [];
+}
+
+export async function setStoredAdmins(userIds) {
+  const store = getSurveyStore();
+  await store.setJSON(ADMINS_KEY, [...new Set(userIds)]);
+}
+
+// --- Survey templates (saved question sets) ---
+
+export async function createTemplate(template) {
+  const id = crypto.randomUUID().slice(0, 8);
+  const record = {
+    id,
+    ...template,
+    createdAt: new Date().toISOString(),
+  };
+  const store = getTemplateStore();
+  await store.setJSON(id, record);
+  return record;
+}
+
+export async function getTemplate(id) {
+  const store = getTemplateStore();
+  return store.get(id, { type: "json" });
+}
+
+export async function updateTemplate(id, updates) {
+  const store = getTemplateStore();
+  const template = await store.get(id, { type: "json" });
+  if (!template) return null;
+  const updated = { ...template, ...updates };
+  await store.setJSON(id, updated);
+  return updated;
+}
+
+export async function deleteTemplate(id) {
+  const store = getTemplateStore();
+  await store.delete(id);
+}
+
+export async function listTemplates() {
+  const store = getTemplateStore();
+  const { blobs } = await store.list();
+  const templates = await Promise.all(
+    blobs.map((b) => store.get(b.key, { type: "json" }))
+  );
+  return templates.filter(Boolean);
+}
+
+// --- Drafts (short-lived state between modal steps) ---
+// Holds in-progress answers too long to carry in a modal, and surveys waiting
+// in the preview step. Drafts are keyed by a random ID; answer drafts never
+// record who they belong to.
+
+export async function saveDraft(data) {
+  const id = crypto.randomUUID();
+  const store = getDraftStore();
+  await store.setJSON(id, { ...data, createdAt: new Date().toISOString() });
+  return id;
+}
+
+export async function getDraft(id) {
+  const store = getDraftStore();
+  return store.get(id, { type: "json" });
+}
+
+export async function deleteDraft(id) {
+  const store = getDraftStore();
+  await store.delete(id);
+}
+
+/**
+ * Deletes drafts older than `maxAgeMs`, i.e. responses someone started and
+ * never finished or previews that were abandoned. Returns how many were removed.
+ */
+export async function purgeStaleDrafts(maxAgeMs) {
+  const store = getDraftStore();
+  const cutoff = Date.now() - maxAgeMs;
+  const { blobs } = await store.list();
+  let purged = 0;
+  for (const { key } of blobs) {
+    const draft = await store.get(key, { type: "json" });
+    if (!draft || new Date(draft.createdAt).getTime() < cutoff) {
+      await store.delete(key);
+      purged++;
+    }
+  }
+  return purged;
+}
+
+// --- Background jobs (work too slow to finish before Slack times out) ---
+
+export async function saveJob(job) {
+  const id = crypto.randomUUID();
+  const store = getJobStore();
+  const now = new Date().toISOString();
+  await store.setJSON(id, { ...job, id, createdAt: now, updatedAt: now });
+  return id;
+}
+
+export async function getJob(id) {
+  const store = getJobStore();
+  return store.get(id, { type: "json" });
+}
+
+export async function updateJob(id, updates) {
+  const store = getJobStore();
+  const job = await getJob(id);
+  if (!job) return null;
+  const updated = { ...job, ...updates, updatedAt: new Date().toISOString() };
+  await store.setJSON(id, updated);
+  return updated;
+}
+
+export async function deleteJob(id) {
+  const store = getJobStore();
+  await store.delete(id);
+}
+
+export async function listJobs() {
+  const store = getJobStore();
+  const { blobs } = await store.list();
+  const jobs = await Promise.all(blobs.map(({ key }) => store.get(key, { type: "json" })));
+  return jobs.filter(Boolean);
+}
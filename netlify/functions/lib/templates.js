@@ -0,0 +1,71 @@
+import { listTemplates } from "./store.js";
+
+/**
+ * Survey templates.
+ *
+ * A template is a saved title and question set. Built-in templates are
+ * blessed by the org so every ERG asks comparable questions; the rest are
+ * saved by creators with `/pulse template save` and are either private to
+ * them or shared with the whole workspace.
+ */
+
+export const BUILTIN_TEMPLATES = [
+  {
+    id: "builtin-erg-health",
+    name: "Quarterly ERG health",
+    title: "Quarterly ERG Pulse",
+    builtin: true,
+    visibility: "workspace",
+    questions: [
+      { label: "How connected do you feel to this ERG community?", type: "scale" },
+      { label: "How well does this ERG represent your interests?", type: "scale" },
+      { label: "How supported do you feel by the company as a member of this community?", type: "scale" },
+      {
+        label: "Which activities would you like more of?",
+        type: "multi-select",
+        options: ["Social events", "Mentorship", "Speaker series", "Learning sessions", "Volunteering", "Advocacy"],
+      },
+      { label: "What is one thing we could do better next quarter?", type: "free-text" },
+    ],
+  },
+  {
+    id: "builtin-event-feedback",
+    name: "Event feedback",
+    title: "Event Feedback",
+    builtin: true,
+    visibility: "workspace",
+    questions: [
+      { label: "How would you rate the event overall?", type: "scale" },
+      { label: "How relevant was the content to you?", type: "scale" },
+      {
+        label: "What did you value most?",
+        type: "multi-select",
+        options: ["Speakers", "Networking", "Content", "Format", "Food & venue"],
+      },
+      { label: "What should we change for the next event?", type: "free-text" },
+    ],
+  },
+];
+
+/**
+ * Templates a user can start from: the built-ins, everything shared with the
+ * workspace, and their own private templates.
+ */
+export async function getAvailableTemplates(userId) {
+  const saved = await listTemplates();
+  const visible = saved
+    .filter((t) => t.visibility === "workspace" || t.createdBy === userId)
+    .sort((a, b) => a.name.localeCompare(b.name));
+  return [...BUILTIN_TEMPLATES, ...visible];
+}
+
+export async function findTemplate(userId, idOrName) {
+  const needle = idOrName.trim().toLowerCase();
+  const templates = await getAvailableTemplates(userId);
+
+  // Prefer the user's own template when names collide
+  const matches = templates.filter(
+    (t) => t.id === idOrName || t.name.toLowerCase() === needle
+  );
+  return matches.find((t) => t.createdBy === userId) || matches[0] || null;
+}
@@ -0,0 +1,74 @@
+import { WebClient } from "@slack/web-api";
+import { buildRetentionWarning } from "./lib/blocks.js";
+import { buildAggregates } from "./lib/stats.js";
+import {
+  listSurveys,
+  updateSurvey,
+  getResponses,
+  purgeResponses,
+} from "./lib/store.js";
+import { getOwners } from "./lib/permissions.js";
+import {
+  purgeAllowedAt,
+  purgeWarningDue,
+  announcedPurgeAt,
+} from "./lib/retention.js";
+
+/**
+ * Scheduled sweep that enforces data retention.
+ *
+ * Closed surveys past their retention window have their responses and
+ * tracking hashes deleted, keeping aggregate results on the survey record.
+ * Owners get a DM a week beforehand so they can export first.
+ */
+export default async function handler() {
+  const slack = new WebClient(process.env.SLACK_BOT_TOKEN);
+  const now = new Date();
+
+  const surveys = await listSurveys();
+  const closed = surveys.filter((s) => s.status === "closed" && !s.purgedAt);
+
+  for (const survey of closed) {
+    // One failing survey shouldn't stop the rest of the sweep
+    try {
+      await enforceRetention(slack, survey, now);
+    } catch (err) {
+      console.error(`Retention failed for survey ${survey.id}:`, err);
+    }
+  }
+
+  return new Response("", { status: 200 });
+}
+
+async function enforceRetention(slack, survey, now) {
+  // Surveys closed before closedAt was recorded start their window now
+  if (!survey.closedAt) {
+    await updateSurvey(survey.id, { closedAt: now.toISOString() });
+    return;
+  }
+
+  if (purgeWarningDue(survey, now)) {
+    const purgeAt = announcedPurgeAt(survey, now);
+
+    // Mark first so a slow run can't send the same warning twice
+    await updateSurvey(survey.id, { retentionWarnedAt: now.toISOString() });
+    for (const ownerId of getOwners(survey)) {
+      await slack.chat.postMessage({
+        channel: ownerId,
+        blocks: buildRetentionWarning(survey, purgeAt),
+        text: `Responses to ${survey.title} will be deleted soon.`,
+      });
+    }
+    return;
+  }
+
+  const allowedAt = purgeAllowedAt(survey);
+  if (allowedAt && allowedAt <= now) {
+    const responses = await getResponses(survey.id);
+    await purgeResponses(survey.id, buildAggregates(survey, responses));
+  }
+}
+
+export const config = {
+  schedule: "@daily",
+};
@@ -0,0 +1,139 @@
+import { WebClient } from "@slack/web-api";
+import { buildSurveyMessage, buildNewRoundNotice } from "./lib/blocks.js";
+import { nextOccurrence } from "./lib/recurrence.js";
+import {
+  createSurvey,
+  getSurvey,
+  updateSurvey,
+  closeSurvey,
+  deleteSurvey,
+  listSeries,
+  updateSeries,
+  stopSeries,
+  addSurveyToSeries,
+  addSurveyToUserIndex,
+} from "./lib/store.js";
+import { getOwners } from "./lib/permissions.js";
+
+/**
+ * Scheduled sweep that launches the next round of recurring surveys.
+ *
+ * For every active series that has come due, the latest round's questions and
+ * settings are cloned into a new survey, the new round is posted to the
+ * series' channel, and the previous round is closed. A series whose channel
+ * can no longer be posted to (the bot was removed, or the channel archived)
+ * stops repeating and its owners are told.
+ */
+export default async function handler() {
+  const slack = new WebClient(process.env.SLACK_BOT_TOKEN);
+  const now = new Date();
+
+  const allSeries = await listSeries();
+  const due = allSeries.filter(
+    (s) => s.active && s.nextRunAt && new Date(s.nextRunAt) <= now
+  );
+
+  for (const series of due) {
+    // One failing series shouldn't stop the rest of the sweep
+    try {
+      await launchNextRound(slack, series, now);
+    } catch (err) {
+      console.error(`Relaunch failed for series ${series.id}:`, err);
+    }
+  }
+
+  return new Response("", { status: 200 });
+}
+
+async function launchNextRound(slack, series, now) {
+  const previousId = series.surveyIds[series.surveyIds.length - 1];
+  const previous = await getSurvey(previousId);
+  if (!previous) {
+    await updateSeries(series.id, { active: false });
+    return;
+  }
+
+  // Schedule the next run before anything that can fail, so a broken series
+  // can't launch a fresh round every hour. Periods we missed (e.g. the sweep
+  // was down) are skipped rather than launched back to back.
+  let nextRunAt = nextOccurrence(series.nextRunAt, series.recurrence);
+  while (nextRunAt <= now) {
+    nextRunAt = nextOccurrence(nextRunAt, series.recurrence);
+  }
+  await updateSeries(series.id, { nextRunAt: nextRunAt.toISOString() });
+
+  // Keep the same open window as the previous round, if it had a deadline
+  const window = previous.closesAt
+    ? new Date(previous.closesAt) - new Date(previous.createdAt)
+    : null;
+
+  const survey = await createSurvey({
+    title: previous.title,
+    questions: previous.questions,
+    settings: previous.settings,
+    createdBy: previous.createdBy,
+    owners: getOwners(previous),
+    channelId: series.channelId,
+    closesAt: window ? new Date(now.getTime() + window).toISOString() : null,
+    recurrence: series.recurrence,
+    seriesId: series.id,
+    round: (previous.round || 1) + 1,
+  });
+
+  await addSurveyToSeries(series.id, survey.id);
+  await Promise.all(
+    getOwners(survey).map((id) => addSurveyToUserIndex(id, survey.id))
+  );
+
+  let posted;
+  try {
+    posted = await slack.chat.postMessage({
+      channel: series.channelId,
+      blocks: buildSurveyMessage(survey),
+      text: `${survey.title} - Take the survey!`,
+    });
+  } catch (err) {
+    console.error(`Posting round ${survey.round} of series ${series.id} failed:`, err);
+    await stopBrokenSeries(slack, series, survey, err);
+    return;
+  }
+  await updateSurvey(survey.id, { messageTs: posted.ts });
+
+  // Only the latest round carries the recurrence, so "Stop Repeating" shows
+  // up in one place in /pulse list
+  const closedPrevious =
+    previous.status === "open"
+      ? await closeSurvey(previous.id)
+      : previous;
+  await updateSurvey(previous.id, { recurrence: null });
+
+  for (const ownerId of getOwners(survey)) {
+    await slack.chat.postMessage({
+      channel: ownerId,
+      blocks: buildNewRoundNotice(survey, closedPrevious),
+      text: `Round ${survey.round} of ${survey.title} is live.`,
+    });
+  }
+}
+
+// The new round never made it to the channel - drop it, leave the previous
+// round open and stop the series
+async function stopBrokenSeries(slack, series, survey, err) {
+  await deleteSurvey(survey.id);
+  await stopSeries(series.id);
+
+  for (const ownerId of getOwners(survey)) {
+    try {
+      await slack.chat.postMessage({
+        channel: ownerId,
+        text: `:warning: Round ${survey.round} of *${survey.title}* couldn't be posted in <#${series.channelId}> (${err.data?.error || err.message}), so the survey will no longer repeat. The previous round stays open until you close it.`,
+      });
+    } catch (dmErr) {
+      console.error(`Couldn't tell an owner of series ${series.id} it stopped:`, dmErr);
+    }
+  }
+}
+
+export const config = {
+  schedule: "@hourly",
+};